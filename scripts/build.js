@@ -0,0 +1,22 @@
+/* Build the ES module and CommonJS versions of src/p5sprite.js into dist/ */
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const src = fs.readFileSync(path.join(root, 'src/p5sprite.js'), 'utf8');
+
+// the classic script ends with a block that makes the global stage;
+// module builds export createStage instead
+const block = /\/\* build:exports[\s\S]*?\/\* end build:exports \*\/\n?/;
+if (!block.test(src)) throw new Error('build:exports block not found in src/p5sprite.js');
+
+const builds = {
+  'p5sprite.mjs': 'export { createStage };\nexport default createStage;\n',
+  'p5sprite.cjs': 'module.exports = { createStage };\nmodule.exports.default = createStage;\n'
+};
+
+fs.mkdirSync(path.join(root, 'dist'), { recursive: true });
+for (const [file, exports] of Object.entries(builds)) {
+  fs.writeFileSync(path.join(root, 'dist', file), src.replace(block, exports));
+  console.log(`dist/${file}`);
+}
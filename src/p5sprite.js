@@ -8,37 +8,266 @@
  *   • createSprite     • createTextBox   • createInputBox
  *   • createSound      • setBackground   • drawText
  *   • forever / stop   • pen             • key (arrow + space)
+ *   • whenKeyPressed   • whenStageClicked • broadcast / whenIReceive
+ *   • startScript      • wait / waitUntil • repeatUntil
+ *   • clearPen         • setCloneLimit
+ *   • createScene      • goToScene        • currentScene
+ *   • camera           • screenToWorld    • worldToScreen
+ *   • setStageSize     • setScaleMode     • toggleFullscreen
+ *   • isKeyDown        • keyJustPressed   • keyJustReleased
+ *   • mouse            • pointers
+ *   • mapAction        • isActionDown     • actionJustPressed
+ *   • gamepad          • createVirtualJoystick / createVirtualButton
+ *   • clock            • deltaTime / elapsed / timeScale
+ *   • pause / resume   • after / every    • setFixedStep
+ *   • physics          • setGravity       • loadTilemap
+ *   • loadAssets       • getAsset
+ *   • audio            • stopAllSounds
+ *   • createButton     • createSlider     • createCheckbox
+ *   • createProgressBar • createPanel     • ask
+ *   • createEmitter    • setParticleLimit
+ *   • createVariable / createList      • saveGame / loadGame / hasSave
+ *
+ * As a classic `<script>` the above are globals of one default stage; the
+ * ES module / CommonJS builds (`npm run build`) export {@link createStage}
+ * instead, for several stages per page and headless tests.
  *
  * MIT License © 2025 MGB
  */
 
+/** Default stage size for the classic `<script>` build (read at setup). */
 let canvaX = 1280;
 let canvaY = 720;
 
-
 /* eslint-disable no-unused-vars */
-(() => {
+// The stages share this closure, so the classic script adds no globals but
+// createStage (and the default stage's API).
+const createStage = (() => {
+
+/** Stages alive on the page; with several, keys go to the focused one. */
+const liveStages = new Set();
+/** Stage clicked or touched last. */
+let focusedStage = null;
+
+/**
+ * Create a stage: a canvas with its own sprites, scenes, scripts, input and
+ * loop, so several games can share a page. The returned object carries the
+ * whole API (`stage.createSprite(…)`, `stage.key`, …); the classic
+ * `<script>` build puts one default stage's API on `window`.
+ * ```js
+ * import { createStage } from 'p5sprite';
+ * const stage = createStage({ parent: 'game', width: 640, height: 360 });
+ * const hero = stage.createSprite(320, 180, 'hero.png');
+ * stage.forever(() => { if (stage.isKeyDown('right')) hero.x += 4; });
+ * ```
+ * A headless stage (for tests in Node / jsdom) needs neither p5 nor a
+ * canvas: it draws nothing, treats images as blank boxes and only moves
+ * when {@link Stage#step} is called.
+ * ```js
+ * const stage = createStage({ headless: true });
+ * stage.input.keyDown('right');
+ * await stage.step(30);
+ * expect(stage.snapshot().sprites[0].x).toBeGreaterThan(0);
+ * ```
+ * @param {object} [opts]
+ * @param {?(string|HTMLElement)} [opts.parent] Element (or its id) to put the canvas in; default `<body>`
+ * @param {number} [opts.width=1280] Stage width (px)
+ * @param {number} [opts.height=720] Stage height (px)
+ * @param {boolean} [opts.headless=false] Run without p5, a canvas or a loop
+ * @param {Function} [opts.imageSize] Headless only: `path → [w, h]` of an image (default 32 × 32)
+ * @param {Function} [opts.p5] p5 constructor (default: the global `p5`)
+ * @param {string} [opts.id] Keeps this stage's {@link saveGame} slots and
+ *   mute toggle apart from other stages' (default: `parent` when given as an id)
+ * @returns {Stage}
+ * @global
+ */
+function createStage(opts = {}) {
   /* ──────────────────────────────────────────────
      Global shared state
      ────────────────────────────────────────────── */
-  /** @type {Sprite[]}  List of active sprite instances. */
-  const sprites = [];
-  /** @type {TextBox[]} List of persistent on-canvas labels. */
-  const textBoxes = [];
-  /** @type {InputBox[]} List of DOM-based input boxes. */
-  const inputBoxes = [];
-
-  /** @type {p5.Image|null} Current backdrop image (full-screen). */
-  let backdropImage = null;
-  /** @type {number|string|p5.Color|null} Current solid background colour. */
-  let bgColor = null;
-  /** @type {(Function|null)} User-supplied per-frame callback. */
-  let gameLoop = null;
+  /** Runs without p5: no drawing, loop or audio (see {@link Stage#step}). */
+  const headless = !!opts.headless;
+  /** p5 constructor (absent on headless stages). */
+  const P5 = headless ? null : opts.p5 || (typeof window !== 'undefined' ? window.p5 : null);
+  /** Element the canvas is put in (null = `<body>`). */
+  const stageParent = typeof opts.parent === 'string' ? document.getElementById(opts.parent) : opts.parent || null;
+  /** Name keeping this stage's saves and mute toggle apart from other stages' ('' = shared). */
+  const stageId = opts.id ?? (typeof opts.parent === 'string' ? opts.parent : '');
+  /** Logical stage width (px), see {@link setStageSize}. */
+  let stageW = opts.width ?? 1280;
+  /** Logical stage height (px). */
+  let stageH = opts.height ?? 720;
+  /** @type {Map<string, Scene>} Scenes by name. */
+  const scenes = new Map();
+  /** @type {Scene} Scene being shown (set up below, once Scene is defined). */
+  let scene = null;
+  /** @type {?Scene} Scene whose setup function is running. */
+  let buildingScene = null;
+  /** @type {?{img: p5.Image, type: string, t0: number, duration: number}} Running scene transition. */
+  let transition = null;
+  /** @type {'fixed'|'fit'|'fill'|'pixel'} How the canvas is scaled to the window. */
+  let scaleMode = 'fit';
+  /** @type {Script[]} Running scripts, stepped once per frame. */
+  const scripts = [];
+  /** @type {{test: Function, resolve: Function, owner: ?Script}[]} Pending waits. */
+  const waits = [];
+  /** @type {?Script} Script whose code is currently executing (owns new waits). */
+  let activeScript = null;
   /** @type {p5} Reference to the single p5 instance. */
   let sketchInstance = null;
+  /** @type {?p5.Graphics} Persistent pen layer (between backdrop and sprites). */
+  let penLayer = null;
+  /** @type {Array<[string, Array]>} pen calls on the 'frame' target, replayed every render. */
+  const penOps = [];
+  /** @type {Array<[string, Array]>} Same, made by scripts running while paused. */
+  const pauseOps = [];
+  /** @type {?p5.Graphics} Off-screen stage render used by touchingColor. */
+  let probeLayer = null;
+  /** @type {?{frame: number, except: Sprite}} What probeLayer currently holds. */
+  let probeKey = null;
+  /** @type {WeakMap<Costume, {w: number, h: number, alpha: Uint8Array}>} Alpha masks per costume. */
+  const maskCache = new WeakMap();
+  /** @type {WeakMap<Costume, Map<string, p5.Image>>} Costumes with effects baked in, per settings. */
+  const effectCache = new WeakMap();
+  /** @type {Map<string, Asset>} Loaded / loading files by `kind:path`. */
+  const assets = new Map();
+  /** Files the loading screen waits for. */
+  const loadGate = { total: 0, done: 0 };
+  /** False until the first batch of files has loaded and the game starts. */
+  let started = false;
+  /** True while {@link loadAssets} queues files (they gate the loading screen). */
+  let gating = false;
+  /** @type {string[]} Missing-file messages shown on the canvas. */
+  const assetErrors = [];
+  /** @type {WeakSet<p5.Image>} Images that failed to load. */
+  const brokenImages = new WeakSet();
+  /** @type {WeakSet<p5.Image>} p5's placeholders for images still loading. */
+  const loadingImages = new WeakSet();
 
-  /** Live arrow / space key state (read-only for users). */
+  /** Live arrow / space state (read-only for users), fed by the matching actions. */
   const keyState = { left: false, right: false, up: false, down: false, space: false };
+  /** @type {Map<number, string[]>} Held keys: keyCode → names (key and code). */
+  const keysDown = new Map();
+  /** @type {Set<string|number>} Names and keyCodes pressed since the last frame. */
+  const keysPressed = new Set();
+  /** @type {Set<string|number>} Names and keyCodes released since the last frame. */
+  const keysReleased = new Set();
+  /** Wheel movement collected between frames. */
+  let wheelAcc = 0;
+  /** Time (ms) of the last touch; browsers follow touches with fake mouse events. */
+  let lastTouchAt = -Infinity;
+
+  /** @type {Map<string, {keys: string[], gamepad: Array<string|number>}>} Action bindings. */
+  const actions = new Map();
+  /** @type {Map<string, boolean>} Action state at the start of this frame. */
+  const actionNow = new Map();
+  /** @type {Map<string, boolean>} Action state one frame earlier. */
+  const actionPrev = new Map();
+  /** @type {object[]} Gamepad snapshots, polled once per frame. */
+  let pads = [];
+  /** Stick / trigger values below this count as zero. */
+  let deadzone = 0.2;
+  /** @type {Function[]} whenGamepadConnected hats. */
+  const padConnectHandlers = [];
+  /** @type {Function[]} whenGamepadDisconnected hats. */
+  const padDisconnectHandlers = [];
+  /** @type {Array<VirtualJoystick|VirtualButton>} On-screen touch controls. */
+  const virtualControls = [];
+  /** @type {?Widget} Widget the pointer went down on. */
+  let pressedWidget = null;
+  /** True while an {@link ask} dialog is open. */
+  let asking = false;
+
+  /** @type {{msg: string, started: ?Script[]}[]} Broadcasts waiting for the next frame. */
+  const broadcastQueue = [];
+
+  /** Maximum number of live clones (Scratch uses 300). */
+  let cloneLimit = 300;
+  /** Set once the clone-limit warning has been printed. */
+  let cloneLimitWarned = false;
+  /** Live clones in all scenes (kept by clone() and remove()). */
+  let cloneCount = 0;
+  /** Maximum number of live particles across all emitters. */
+  let particleLimit = 2000;
+  /** Live particles across all emitters. */
+  let particleCount = 0;
+  /** @type {Map<string, Variable>} Variables and lists by name (see {@link createVariable}). */
+  const variables = new Map();
+
+  /* ──────────────────────────────────────────────
+     Scene class
+     ────────────────────────────────────────────── */
+  /**
+   * A screen of the game (title, level, game over…) with its own sprites,
+   * labels, input boxes, backdrop, hats and scripts. Only the current scene
+   * is drawn and runs; the others keep their state until shown again.
+   * @class
+   */
+  class Scene {
+    /**
+     * @param {string} name
+     * @param {?Function} [setupFn] Builds the scene on first entry
+     */
+    constructor(name, setupFn = null) {
+      /** @member {string} Scene name. */
+      this.name = name;
+      /** @member {Sprite[]} Sprites in this scene. */
+      this.sprites = [];
+      /** @member {TextBox[]} Labels in this scene. */
+      this.textBoxes = [];
+      /** @member {InputBox[]} Input boxes in this scene (hidden while inactive). */
+      this.inputBoxes = [];
+      /** @member {Tilemap[]} Maps drawn behind the sprites. */
+      this.tilemaps = [];
+      /** @member {Widget[]} Buttons, sliders and other canvas widgets. */
+      this.widgets = [];
+      /** @member {Emitter[]} Particle emitters, drawn among the sprites. */
+      this.emitters = [];
+      /** @member {Variable[]} Variable and list readouts, drawn among the labels. */
+      this.monitors = [];
+      /** @member {?p5.Image} Backdrop image (full-screen). */
+      this.backdropImage = null;
+      /** @member {number|string|p5.Color|null} Solid background colour. */
+      this.bgColor = null;
+
+      /** @private @type {{key: string, fn: Function}[]} Key-press hats. */
+      this._keyHandlers = [];
+      /** @private @type {Function[]} Hats fired when a click misses every sprite. */
+      this._stageClickHandlers = [];
+      /** @private @type {Map<string, Function[]>} Message hats, keyed by message. */
+      this._messageHandlers = new Map();
+      /** @private @type {Function[]} */
+      this._enterHooks = [];
+      /** @private @type {Function[]} */
+      this._exitHooks = [];
+      this._setup = setupFn;
+      this._ready = !setupFn;
+    }
+
+    /**
+     * Run `fn` as a script each time the scene is shown.
+     * @param {Function} fn Receives the data passed to {@link goToScene}
+     * @returns {Scene} this, for chaining
+     */
+    onEnter(fn) { this._enterHooks.push(fn); return this; }
+
+    /**
+     * Run `fn` each time the scene is left (before the next one is set up).
+     * @param {Function} fn Receives the data passed to {@link goToScene}
+     * @returns {Scene} this, for chaining
+     */
+    onExit(fn) { this._exitHooks.push(fn); return this; }
+  }
+
+  scene = new Scene('main');
+  scenes.set(scene.name, scene);
+
+  /**
+   * Scene that new sprites, labels, hats and scripts belong to: the one
+   * being set up, else the current one.
+   * @private
+   */
+  function _targetScene() { return buildingScene || scene; }
 
   /* ──────────────────────────────────────────────
      Sprite class
@@ -52,13 +281,17 @@ let canvaY = 720;
      * @param {string[]} imgPaths One or more costume URLs (loaded via p5.loadImage)
      */
     constructor(imgPaths) {
+      /** @member {string} Name used in messages (defaults to the first costume's file name). */
+      this.name = imgPaths.length ? _baseName(imgPaths[0]) : 'sprite';
+      /** @member {Scene} Scene the sprite belongs to. */
+      this.scene = _targetScene();
       /** @member {number} Centre x (px) */
       this.x = 0;
       /** @member {number} Centre y (px) */
       this.y = 0;
       /** @member {number} Heading in degrees (0 = right, 90 = down). */
       this.direction = 90;
-      /** @member {'free'|'flipped'} Rotation style. */
+      /** @member {'free'|'flipped'|'none'} Rotation style (see {@link Sprite#setRotationStyle}). */
       this.rotationStyle = 'free';
       /** @member {number} Current costume index. */
       this.costumeId = 0;
@@ -66,24 +299,176 @@ let canvaY = 720;
       this.hidden = false;
       /** @member {number} Draw-order layer (lower renders first). */
       this.layer = 0;
-      /** @member {p5.Image[]} Loaded costumes. */
-      this.images = imgPaths.map(p => sketchInstance.loadImage(p));
-      /** @member {number} Collision circle radius (px). */
-      this.hitRadius = 40;
+      /** @member {boolean} Pinned to the screen (HUD) instead of the camera's world. */
+      this.fixed = false;
+      /** @member {Costume[]} Costumes, in order (see {@link Sprite#addSpritesheet}). */
+      this.costumes = imgPaths.map(p => _imageCostume(p, this));
+      /** @member {Object<string, Animation>} Named animations. */
+      this.animations = {};
+      /** @member {'circle'|'rect'|'mask'} Collision shape (see {@link Sprite#setCollisionShape}). */
+      this.collisionShape = 'circle';
+      /** @member {?number} Circle radius at natural size (px); null = fit costume. */
+      this.hitRadius = null;
+      /** @private Shape chosen with setCollisionShape (setBody keeps it). */
+      this._shapeSet = false;
+      /** @member {boolean} True for sprites made by {@link Sprite#clone}. */
+      this.isClone = false;
       /** @member {number} Uniform scale (1 = natural). */
       this.scale = 1;
       /** @member {?number} Explicit width (px); null = auto. */
       this.w = null;
       /** @member {?number} Explicit height (px); null = auto. */
       this.h = null;
+      /** @member {Object<string, number>} Graphic effect values by name (see {@link Sprite#setEffect}). */
+      this.effects = {};
+      /** @member {?(string|p5.Color)} Colour multiplied into the costume; null = none. */
+      this.tintColor = null;
+
+      /** @member {?('dynamic'|'kinematic'|'static')} Physics body; null = no physics (see {@link Sprite#setBody}). */
+      this.body = null;
+      /** @member {number} Horizontal velocity (px/s). */
+      this.vx = 0;
+      /** @member {number} Vertical velocity (px/s). */
+      this.vy = 0;
+      /** @member {number} Horizontal acceleration (px/s²). */
+      this.ax = 0;
+      /** @member {number} Vertical acceleration (px/s²). */
+      this.ay = 0;
+      /** @member {number} Mass; heavier bodies push lighter ones aside. */
+      this.mass = 1;
+      /** @member {number} Share of velocity lost per second (0 = none). */
+      this.drag = 0;
+      /** @member {number} Bounciness (0 = dead stop, 1 = perfect bounce). */
+      this.bounce = 0;
+      /** @member {number} Share of sliding speed lost per second of contact. */
+      this.friction = 0;
+      /** @member {number} Multiplier on {@link physics}.gravity. */
+      this.gravityScale = 1;
+      /** @member {boolean} Dynamic body stays inside the edges (see {@link Sprite#touchingEdge}). */
+      this.collideEdges = true;
+      /** @private Force accumulated until the next physics step. */
+      this._fx = 0;
+      /** @private */
+      this._fy = 0;
+      /** @private Touched something below (against gravity) last step. */
+      this._onGround = false;
+      /** @private @type {Function[]} onCollide handlers. */
+      this._collideHandlers = [];
+
+      /** @member {Object<string, Sound>} Sounds by name (see {@link Sprite#addSound}). */
+      this.sounds = {};
+      /** @member {number} Volume of this sprite's sounds (0–1). */
+      this.volume = 1;
+
+      /** @member {?(string|p5.Color)} Pen colour; null = {@link pen}.color. */
+      this.penColor = null;
+      /** @member {?number} Pen width (px); null = {@link pen}.size. */
+      this.penSize = null;
+      /** @private @type {?{x: number, y: number}} Last traced point while pen is down. */
+      this._penAt = null;
+
+      /** @private @type {Function[]} whenClicked hats. */
+      this._clickHandlers = [];
+      /** @private @type {Map<string, Function[]>} Per-sprite message hats. */
+      this._messageHandlers = new Map();
+      /** @private @type {Function[]} whenIStartAsAClone hats. */
+      this._cloneHandlers = [];
+      /** @private @type {?{name: string, pos: number, step: number, t: number, ended: boolean}} Playing animation. */
+      this._anim = null;
+      /** @private @type {?{text: string, think: boolean}} Speech or thought bubble. */
+      this._bubble = null;
+    }
+
+    /** @member {p5.Image[]} Costume images (sheet costumes share one image). */
+    get images() { return this.costumes.map(c => c.img); }
+
+    /** @member {?string} Name of the current costume. */
+    get costumeName() { const c = this._costume(); return c ? c.name : null; }
+
+    /**
+     * Copy this sprite. Position, costume, scale, hats and custom fields are
+     * deep-copied; loaded costume images are shared. The clone is drawn just
+     * behind its parent and its {@link Sprite#whenIStartAsAClone} hats run.
+     * @returns {?Sprite} The clone, or null when the clone limit is reached
+     */
+    clone() {
+      if (cloneCount >= cloneLimit) {
+        if (!cloneLimitWarned) console.warn(`[p5sprite] clone limit (${cloneLimit}) reached`);
+        cloneLimitWarned = true;
+        return null;
+      }
+      const c = new Sprite([]);
+      for (const k of Object.keys(this)) c[k] = _deepCopy(this[k]);
+      c.costumes = this.costumes.slice();
+      c.isClone = true;
+      c._penAt = null;
+      c._bubble = null;
+      const list = this.scene.sprites;
+      list.splice(Math.max(0, list.indexOf(this)), 0, c);
+      cloneCount++;
+      c._cloneHandlers.forEach(fn => _spawn(fn, c, [c]));
+      return c;
+    }
+
+    /** Scratch alias for {@link Sprite#clone}. @returns {?Sprite} */
+    createClone() { return this.clone(); }
+
+    /**
+     * Run `fn` in every new clone of this sprite (and clones of clones).
+     * @param {Function} fn Called with the clone as `this` and first argument
+     */
+    whenIStartAsAClone(fn) { this._cloneHandlers.push(fn); }
+
+    /** Remove the sprite from the stage and stop its scripts. */
+    remove() {
+      const i = this.scene.sprites.indexOf(this);
+      if (i >= 0) {
+        this.scene.sprites.splice(i, 1);
+        if (this.isClone) cloneCount--;
+      }
+      this._penAt = null;
+      scripts.forEach(sc => { if (sc.sprite === this) sc.stop(); });
+    }
+
+    /**
+     * Show a speech bubble above the sprite. It follows the sprite and is
+     * kept on screen; an empty text removes it.
+     * ```js
+     * hero.say('Hello!');              // until the next say / think
+     * await hero.say('Look out!', 2);  // for 2 seconds
+     * ```
+     * @param {string} text
+     * @param {number} [seconds] Remove the bubble after this long
+     * @returns {Promise<void>|undefined} With `seconds`, resolves when the bubble goes
+     */
+    say(text, seconds) { return this._setBubble(text, false, seconds); }
+
+    /**
+     * Show a thought bubble above the sprite (see {@link Sprite#say}).
+     * @param {string} text
+     * @param {number} [seconds]
+     * @returns {Promise<void>|undefined}
+     */
+    think(text, seconds) { return this._setBubble(text, true, seconds); }
+
+    /** @private */
+    _setBubble(text, think, seconds) {
+      const b = text === '' || text == null ? null : { text: String(text), think };
+      this._bubble = b;
+      if (seconds == null) return undefined;
+      const end = _now() + seconds;
+      return _wait(() => _now() >= end, () => { if (this._bubble === b) this._bubble = null; });
     }
 
+    /** Remove this sprite if it is a clone (Scratch's “delete this clone”). */
+    deleteThisClone() { if (this.isClone) this.remove(); }
+
     /**
      * Teleport sprite instantly.
      * @param {number} x New centre x (px)
      * @param {number} y New centre y (px)
      */
-    moveTo(x, y) { this.x = x; this.y = y; }
+    moveTo(x, y) { this.x = x; this.y = y; this._trace(); }
 
     /**
      * Step forward along current heading.
@@ -93,6 +478,65 @@ let canvaY = 720;
       const r = sketchInstance.radians(this.direction);
       this.x += Math.cos(r) * pixels;
       this.y += Math.sin(r) * pixels;
+      this._trace();
+    }
+
+    /** Start leaving a trail on the pen layer as the sprite moves. */
+    penDown() {
+      this._penAt = { x: this.x, y: this.y };
+      if (!penLayer) return;
+      penLayer.push();
+      penLayer.stroke(this.penColor ?? pen.color);
+      penLayer.strokeWeight(this.penSize ?? pen.size);
+      penLayer.point(this.x, this.y);
+      penLayer.pop();
+    }
+
+    /** Stop leaving a trail. */
+    penUp() { this._penAt = null; }
+
+    /** Stamp the current costume onto the pen layer. */
+    stamp() { if (penLayer) this._draw(penLayer); }
+
+    /**
+     * Glide to a point over time. Resolves when the glide finishes.
+     * ```js
+     * await sprite.glideTo(400, 300, 1, 'easeInOut');
+     * ```
+     * @param {number} x Target centre x (px)
+     * @param {number} y Target centre y (px)
+     * @param {number} [seconds=1] Duration
+     * @param {string|Function} [easing='linear'] Easing name or `t => t` function
+     * @returns {Promise<void>}
+     */
+    glideTo(x, y, seconds = 1, easing = 'linear') {
+      const fx = this.x, fy = this.y;
+      return _tween(seconds, easing, k => {
+        this.x = fx + (x - fx) * k;
+        this.y = fy + (y - fy) * k;
+      });
+    }
+
+    /**
+     * Turn clockwise by `deg`, instantly or spread over `seconds`.
+     * @param {number} deg Degrees (negative = anticlockwise)
+     * @param {number} [seconds=0] Duration; 0 turns immediately
+     * @returns {Promise<void>}
+     */
+    turnBy(deg, seconds = 0) {
+      const from = this.direction;
+      if (seconds <= 0) { this.direction = from + deg; return _wait(() => true); }
+      return _tween(seconds, 'linear', k => { this.direction = from + deg * k; });
+    }
+
+    /**
+     * Turn to face a sprite, the {@link mouse} or any `{x, y}` point.
+     * @param {Sprite|{x: number, y: number}} target
+     */
+    pointTowards(target) {
+      const p = target.worldX != null && !this.fixed ? { x: target.worldX, y: target.worldY } : target;
+      if (p.x === this.x && p.y === this.y) return;
+      this.direction = sketchInstance.degrees(Math.atan2(p.y - this.y, p.x - this.x));
     }
 
     /**
@@ -109,370 +553,5592 @@ let canvaY = 720;
     setSize(w, h) { this.w = w; this.h = h; }
 
     /**
-     * Simple circle-circle collision test.
-     * @param {Sprite} other Other sprite to test
-     * @returns {boolean} **true** if hit-circles overlap
+     * How the costume follows {@link Sprite#direction}. Scratch's names work too.
+     * @param {'free'|'flipped'|'none'|'all around'|'left-right'|'don\'t rotate'} style
      */
-    touched(other) {
-      return sketchInstance.dist(this.x, this.y, other.x, other.y) <
-        (this.hitRadius + other.hitRadius);
+    setRotationStyle(style) {
+      const scratch = { 'all around': 'free', 'left-right': 'flipped', "don't rotate": 'none' };
+      this.rotationStyle = scratch[style] || style;
     }
 
-    /** @private Internal renderer (called by engine). */
-    _draw() {
-      if (this.hidden) return;
-      const img = this.images[this.costumeId % this.images.length];
-      if (!img) return;
+    /**
+     * Pivot a costume around another point than its middle, e.g. a
+     * character's feet. Costumes are shared with clones, so they pivot
+     * the same way.
+     * @param {number} x Pivot in costume pixels (from the costume's top-left)
+     * @param {number} y
+     * @param {string|number} [costume] Costume name or index (default: current)
+     */
+    setRotationCenter(x, y, costume) {
+      const c = costume === undefined ? this._costume() : this.costumes[this._costumeIndex(costume)];
+      if (!c) { console.warn(`[p5sprite] unknown costume "${costume}"`); return; }
+      c.cx = x; c.cy = y;
+    }
 
-      sketchInstance.push();
-      sketchInstance.translate(this.x, this.y);
+    /**
+     * Set a Scratch graphic effect. Values follow Scratch: `ghost` 0–100
+     * (transparency), `brightness` −100–100, `color` shifts the hue (200 = a
+     * full turn), and `pixelate`, `mosaic`, `whirl` and `fisheye` grow with
+     * the value (`whirl` is in degrees). Each costume is filtered once per
+     * combination of values and then reused.
+     * ```js
+     * ghost.setEffect('ghost', 50);
+     * forever(() => ghost.changeEffectBy('color', 5));
+     * ```
+     * @param {'ghost'|'color'|'brightness'|'pixelate'|'mosaic'|'whirl'|'fisheye'} name
+     * @param {number} value 0 = no effect
+     */
+    setEffect(name, value) {
+      if (!EFFECTS.includes(name)) { console.warn(`[p5sprite] unknown effect "${name}"`); return; }
+      const v = Number(value) || 0;
+      this.effects[name] = name === 'ghost' ? Math.max(0, Math.min(100, v))
+        : name === 'brightness' ? Math.max(-100, Math.min(100, v)) : v;
+    }
 
-      // rotate or flip
-      if (this.rotationStyle === 'free') {
-        sketchInstance.rotate(sketchInstance.radians(this.direction));
-      } else if (this.rotationStyle === 'flipped') {
-        const d = ((this.direction % 360) + 360) % 360;
-        if (d > 90 && d < 270) sketchInstance.scale(-1, 1);
-      }
+    /**
+     * Add to a graphic effect (see {@link Sprite#setEffect}).
+     * @param {string} name
+     * @param {number} delta
+     */
+    changeEffectBy(name, delta) { this.setEffect(name, (this.effects[name] || 0) + delta); }
 
-      sketchInstance.imageMode(sketchInstance.CENTER);
-      const dw = this.w ?? img.width * this.scale;
-      const dh = this.h ?? img.height * this.scale;
-      sketchInstance.image(img, 0, 0, dw, dh);
-      sketchInstance.pop();
-    }
-  }
+    /** Remove all graphic effects and the tint. */
+    clearEffects() { this.effects = {}; this.tintColor = null; }
 
-  /* ──────────────────────────────────────────────
-     TextBox class
-     ────────────────────────────────────────────── */
-  /**
-   * Persistent on-canvas label (non-interactive).
-   * @class
-   */
-  class TextBox {
     /**
-     * @param {number} x Centre x (px)
-     * @param {number} y Centre y (px)
-     * @param {string} txt Initial text
-     * @param {string|p5.Color} [color='#fff'] Fill colour
-     * @param {number} [size=24] Font size (px)
-     * @param {string} [font='sans-serif'] Font family
+     * Multiply the costume by a colour (like p5's `tint`); its alpha fades
+     * the sprite.
+     * @param {?(string|p5.Color)} color null = no tint
      */
-    constructor(x, y, txt, color = '#fff', size = 24, font = 'sans-serif') {
-      this.x = x; this.y = y;
-      this.text = txt;
-      this.color = color;
-      this.size = size;
-      this.font = font;
-      this.hidden = false;
-      this.layer = 0;
+    setTint(color) { this.tintColor = color ?? null; }
+
+    /**
+     * Show a costume by name or index. Stops any playing animation.
+     * @param {string|number} costume
+     */
+    switchCostume(costume) {
+      this.stopAnimation();
+      const i = this._costumeIndex(costume);
+      if (i >= 0) this.costumeId = i;
+      else console.warn(`[p5sprite] unknown costume "${costume}"`);
     }
 
-    /** @param {string} t New text */
-    setText(t) { this.text = t; }
-    /** @param {number} x
-        @param {number} y */
-    moveTo(x, y) { this.x = x; this.y = y; }
+    /** Advance to the next costume (wraps around). Stops any animation. */
+    nextCostume() {
+      this.stopAnimation();
+      if (this.costumes.length) this.costumeId = (this.costumeId + 1) % this.costumes.length;
+    }
 
-    /** @private */
-    _draw() {
-      if (this.hidden) return;
-      sketchInstance.push();
-      sketchInstance.fill(this.color);
-      sketchInstance.noStroke();
-      sketchInstance.textSize(this.size);
-      sketchInstance.textFont(this.font);
-      sketchInstance.textAlign(sketchInstance.CENTER, sketchInstance.CENTER);
-      sketchInstance.text(this.text, this.x, this.y);
-      sketchInstance.pop();
+    /**
+     * Append a costume from an image file.
+     * @param {string} path Image URL
+     * @param {string} [name] Costume name (defaults to the file name)
+     */
+    addCostume(path, name) {
+      const c = _imageCostume(path, this);
+      if (name) c.name = name;
+      this.costumes.push(c);
     }
-  }
 
-  /* ──────────────────────────────────────────────
-     InputBox class  (DOM <input>)
-     ────────────────────────────────────────────── */
-  /**
-   * Unicode-capable `<input type="text">` aligned to the canvas.
-   * @class
-   */
-  class InputBox {
     /**
-     * @param {number} x         Centre x (canvas px)
-     * @param {number} y         Centre y (canvas px)
-     * @param {number} w         Width (px)
-     * @param {number} h         Height (px)
-     * @param {string} placeholder Optional placeholder string
-     * @param {number} [layer=0] Draw-order layer
+     * Slice a grid spritesheet into costumes named `name-0`, `name-1`, …
+     * (row by row). Costumes are appended once the sheet has loaded.
+     * ```js
+     * hero.addSpritesheet('hero.png', 32, 32, { name: 'run', fps: 10 });
+     * hero.playAnimation('run');
+     * ```
+     * @param {string} path Sheet image URL
+     * @param {number} frameW Frame width (px)
+     * @param {number} frameH Frame height (px)
+     * @param {object} [opts]
+     * @param {string} [opts.name] Costume prefix (defaults to the file name)
+     * @param {number} [opts.count] Number of frames (default: fill the sheet)
+     * @param {number} [opts.margin=0] Border around the grid (px)
+     * @param {number} [opts.spacing=0] Gap between frames (px)
+     * @param {number} [opts.fps] Also add a looping animation called `name`
      */
-    constructor(x, y, w, h, placeholder = '', layer = 0) {
-      /** @member {number} Layer for sort order */
-      this.layer = layer;
+    addSpritesheet(path, frameW, frameH, opts = {}) {
+      const { name = _baseName(path), count = Infinity, margin = 0, spacing = 0, fps } = opts;
+      const frames = [];
+      _loadAsset('image', path, this).then(img => {
+        if (!img) return;
+        const cols = Math.floor((img.width - 2 * margin + spacing) / (frameW + spacing));
+        const rows = Math.floor((img.height - 2 * margin + spacing) / (frameH + spacing));
+        for (let i = 0; i < Math.min(count, cols * rows); i++) {
+          const sx = margin + (i % cols) * (frameW + spacing);
+          const sy = margin + Math.floor(i / cols) * (frameH + spacing);
+          this.costumes.push(_frameCostume(`${name}-${i}`, img, { sx, sy, sw: frameW, sh: frameH }));
+          frames.push(`${name}-${i}`);
+        }
+      });
+      if (fps) this.addAnimation(name, frames, { fps });
+    }
 
-      /** @member {HTMLInputElement} Native DOM element */
-      this.el = document.createElement('input');
-      this.el.type = 'text';
-      this.el.placeholder = placeholder;
-      this.el.spellcheck = false;
-      this.el.autocomplete = 'off';
-      this.el.style.position = 'absolute';
-      this.el.style.padding = '4px 6px';
-      this.el.style.font = '16px sans-serif';
-      this.el.style.boxSizing = 'border-box';
-      this.el.style.border = '1px solid #888';
-      this.el.style.borderRadius = '4px';
-      this.el.style.background = '#fff';
-      this.el.style.color = '#000';
-      this.el.style.zIndex = '10';
+    /**
+     * Load costumes from a TexturePacker or Aseprite JSON atlas (hash or
+     * array form, trimmed frames supported). Aseprite frame tags become
+     * animations, timed from the frame durations.
+     * @param {string} jsonPath Atlas URL
+     * @param {string} [imagePath] Sheet URL (defaults to `meta.image`, relative to the JSON)
+     * @returns {Promise<void>} Resolves once the costumes are added
+     */
+    addAtlas(jsonPath, imagePath) {
+      return _loadAsset('json', jsonPath, this).then(json => {
+        if (!json) return;
+        const atlas = _parseAtlas(json);
+        const img = _asset('image', imagePath || _resolvePath(jsonPath, atlas.image), this).value;
+        atlas.frames.forEach(f => this.costumes.push(_frameCostume(f.name, img, f)));
+        atlas.tags.forEach(t => {
+          let frames = atlas.frames.slice(t.from, t.to + 1);
+          if (t.direction === 'reverse') frames.reverse();
+          const ms = frames.reduce((n, f) => n + (f.duration || 100), 0) / frames.length;
+          this.addAnimation(t.name, frames.map(f => f.name), {
+            fps: 1000 / ms, mode: t.direction === 'pingpong' ? 'pingpong' : 'loop'
+          });
+        });
+      });
+    }
 
-      /* safe mount: wait for <body> if needed */
-      const mount = () =>
-        (document.body || document.documentElement).appendChild(this.el);
-      if (document.body) mount();
-      else window.addEventListener('DOMContentLoaded', mount, { once: true });
+    /**
+     * Define a named animation.
+     * @param {string} name
+     * @param {Array<string|number>} frames Costume names or indices
+     * @param {object} [opts]
+     * @param {number} [opts.fps=12] Frames per second
+     * @param {'loop'|'pingpong'|'once'} [opts.mode='loop'] Playback mode
+     * @param {Function} [opts.onFinish] Called with the sprite when a `'once'`
+     *   animation ends, or after every cycle of a looping one
+     */
+    addAnimation(name, frames, opts = {}) {
+      const { fps = 12, mode = 'loop', onFinish = null } = opts;
+      this.animations[name] = { frames, fps, mode, onFinish };
+    }
 
-      // logical placement
-      this._cx = x; this._cy = y; this._w = w; this._h = h;
-      _recalc(this);    // initial attempt
+    /**
+     * Start a named animation; the engine advances it every frame.
+     * @param {string} name
+     * @param {boolean} [restart=false] Restart if it is already playing
+     * @returns {Promise<void>} Resolves when a `'once'` animation ends, or
+     *   when the animation is stopped or replaced
+     */
+    playAnimation(name, restart = false) {
+      if (!this.animations[name]) {
+        console.warn(`[p5sprite] unknown animation "${name}"`);
+        return _wait(() => true);
+      }
+      if (!this._anim || this._anim.name !== name || restart) {
+        this.stopAnimation();
+        this._anim = { name, pos: 0, step: 1, t: 0, ended: false };
+        this._showFrame();
+      }
+      const a = this._anim;
+      return _wait(() => a.ended);
+    }
 
-      window.addEventListener('unload', () => this.el.remove());
+    /** Stop the playing animation, keeping the current costume. */
+    stopAnimation() {
+      const a = this._anim;
+      this._anim = null;
+      if (a) a.ended = true;
     }
 
-    /** Current string value. */
-    get value() { return this.el.value; }
-    set value(v) { this.el.value = v; }
+    /**
+     * Choose how collisions are tested. All shapes follow scale and size;
+     * `'rect'` and `'mask'` also follow rotation.
+     * - `'circle'` – radius {@link Sprite#hitRadius}, or fitted to the costume
+     * - `'rect'`   – the drawn (rotated) bounding box
+     * - `'mask'`   – pixel-perfect, from the costume's alpha channel
+     * @param {'circle'|'rect'|'mask'} shape
+     * @param {number} [radius] Circle radius at natural size (px)
+     */
+    setCollisionShape(shape, radius) {
+      this.collisionShape = shape;
+      this._shapeSet = true;
+      if (radius !== undefined) this.hitRadius = radius;
+    }
 
-    /** Hide / show box. */
-    get hidden() { return this.el.style.display === 'none'; }
-    set hidden(f) { this.el.style.display = f ? 'none' : 'block'; }
+    /**
+     * Collision test using both sprites' collision shapes.
+     * Hidden sprites never touch.
+     * @param {Sprite} other Other sprite to test
+     * @returns {boolean} **true** if the shapes overlap
+     */
+    touched(other) { return this.collide(other) !== null; }
 
     /**
-     * Move centre coordinate.
-     * @param {number} x
-     * @param {number} y
+     * Collision test that also reports how to separate the sprites.
+     * ```js
+     * const hit = player.collide(wall);
+     * if (hit) player.moveTo(player.x + hit.x, player.y + hit.y);
+     * ```
+     * @param {Sprite|Tilemap} other Other sprite, or a map's solid tiles
+     * @returns {?{x: number, y: number, depth: number}} Vector that moves
+     *   **this** sprite out of `other` (null if not touching). Mask
+     *   collisions report the bounding-box overlap.
      */
-    moveTo(x, y) { this._cx = x; this._cy = y; _recalc(this); }
+    collide(other) {
+      if (other instanceof Tilemap) return this.hidden ? null : other._collide(this);
+      if (this === other || this.hidden || other.hidden) return null;
+      const a = this._shape(), b = other._shape();
+      if (!a || !b) return null;
+      const mtv = _overlap(a, b);
+      if (!mtv) return null;
+      if (this.collisionShape !== 'mask' && other.collisionShape !== 'mask') return mtv;
+      return _pixelsOverlap(this, other, a, b) ? mtv : null;
+    }
 
     /**
-     * Resize box.
-     * @param {number} w
-     * @param {number} h
+     * Move this sprite out of `other` along the overlap vector.
+     * @param {Sprite} other
+     * @returns {boolean} **true** if the sprites were touching
      */
-    resize(w, h) { this._w = w; this._h = h; _recalc(this); }
+    pushOutOf(other) {
+      const hit = this.collide(other);
+      if (hit) this.moveTo(this.x + hit.x, this.y + hit.y);
+      return !!hit;
+    }
 
-    /** Focus keyboard cursor. */
-    focus() { this.el.focus(); }
+    /**
+     * Opt in to physics. Bodies are solid against each other:
+     * - `'dynamic'`   – moved by velocity, acceleration, forces and gravity;
+     *   pushed out of other bodies and the edges
+     * - `'kinematic'` – moved by velocity and acceleration only; pushes
+     *   dynamic bodies but is never pushed (moving platforms)
+     * - `'static'`    – never moves (walls, floors)
+     *
+     * Bodies collide as `'rect'` unless {@link Sprite#setCollisionShape}
+     * chose another shape.
+     * ```js
+     * setGravity(0, 1500);
+     * hero.setBody('dynamic', { friction: 8 });
+     * ground.direction = 0;                   // unturned, so the floor lies flat
+     * ground.setBody('static');
+     * forever(() => {
+     *   hero.vx = (key.right - key.left) * 250;
+     *   if (actionJustPressed('space') && hero.isOnGround()) hero.vy = -600;
+     * });
+     * ```
+     * @param {?('dynamic'|'kinematic'|'static')} [type='dynamic'] null removes the body
+     * @param {object} [opts] Initial values for `mass`, `drag`, `bounce`,
+     *   `friction`, `gravityScale`, `collideEdges`, `vx`, `vy`, `ax`, `ay`
+     * @returns {Sprite} this
+     */
+    setBody(type = 'dynamic', opts = {}) {
+      this.body = type;
+      if (type && !this._shapeSet) this.collisionShape = 'rect';
+      ['mass', 'drag', 'bounce', 'friction', 'gravityScale', 'collideEdges', 'vx', 'vy', 'ax', 'ay']
+        .forEach(k => { if (opts[k] !== undefined) this[k] = opts[k]; });
+      return this;
+    }
 
-    /** @private Sync DOM element each frame. */
-    _sync() { _recalc(this); }
-  }
+    /**
+     * Set the velocity (px/s).
+     * @param {number} vx
+     * @param {number} vy
+     */
+    setVelocity(vx, vy) { this.vx = vx; this.vy = vy; }
 
-  /**
-   * Align InputBox DOM element to the p5 canvas.
-   * Skips if canvas not yet ready (first frame will catch up).
-   * @private
-   * @param {InputBox} ib
-   */
-  function _recalc(ib) {
-    if (!sketchInstance || !sketchInstance.canvas) return;
-    const rect = sketchInstance.canvas.getBoundingClientRect();
-    ib.el.style.left = `${rect.left + ib._cx - ib._w / 2}px`;
-    ib.el.style.top = `${rect.top + ib._cy - ib._h / 2}px`;
-    ib.el.style.width = `${ib._w}px`;
-    ib.el.style.height = `${ib._h}px`;
-  }
+    /**
+     * Push a dynamic body during the next physics step (acceleration = force / mass).
+     * @param {number} fx
+     * @param {number} fy
+     */
+    applyForce(fx, fy) { this._fx += fx; this._fy += fy; }
 
-  /* ──────────────────────────────────────────────
-     pen – immediate drawing helper
-     ────────────────────────────────────────────── */
-  /**
-   * Immediate-mode drawing helper.
-   * @namespace pen
-   */
-  const pen = {
-    /** Stroke colour. */ color: '#000',
-    /** Fill colour.   */ fillColor: '#000',
+    /**
+     * Kick a dynamic body: velocity changes by impulse / mass at once.
+     * @param {number} ix
+     * @param {number} iy
+     */
+    applyImpulse(ix, iy) { this.vx += ix / this.mass; this.vy += iy / this.mass; }
 
     /**
-     * Draw a straight line.
-     * @param {number} x1
-     * @param {number} y1
-     * @param {number} x2
-     * @param {number} y2
+     * Run `fn` each physics step this body touches another body or an edge.
+     * @param {Function} fn Called with the sprite as `this`, the other sprite
+     *   (or a solid {@link Tile}, or the edge name: `'left'`, `'right'`,
+     *   `'top'`, `'bottom'`) and the
+     *   unit normal `{x, y}` pointing away from it
      */
-    drawLine(x1, y1, x2, y2) {
-      sketchInstance.push();
-      sketchInstance.stroke(this.color);
-      sketchInstance.line(x1, y1, x2, y2);
-      sketchInstance.pop();
-    },
+    onCollide(fn) { this._collideHandlers.push(fn); }
 
     /**
-     * Draw a filled rectangle.
+     * Is the body standing on something (a body or edge below it, with
+     * “below” following the direction of gravity)?
+     * @returns {boolean}
+     */
+    isOnGround() { return this._onGround; }
+
+    /**
+     * Test a point against the sprite's collision shape.
      * @param {number} x
      * @param {number} y
-     * @param {number} w
-     * @param {number} h
+     * @returns {boolean}
      */
-    drawRect(x, y, w, h) {
-      sketchInstance.push();
-      sketchInstance.noStroke();
-      sketchInstance.fill(this.fillColor);
-      sketchInstance.rect(x, y, w, h);
-      sketchInstance.pop();
+    touchingPoint(x, y) {
+      if (this.hidden) return false;
+      const sh = this._shape();
+      return !!sh && _shapeContains(this, sh, x, y);
     }
-  };
 
-  /* ──────────────────────────────────────────────
-     Public utility functions
-     ────────────────────────────────────────────── */
+    /**
+     * Which edge the sprite's shape crosses, if any. World sprites use the
+     * camera bounds when set, else the stage rect; fixed sprites the screen.
+     * @returns {?('left'|'right'|'top'|'bottom')}
+     */
+    touchingEdge() {
+      const sh = this._shape();
+      if (!sh) return null;
+      const b = _bounds(sh), e = this._edges();
+      if (b.left < e.x) return 'left';
+      if (b.right > e.x + e.w) return 'right';
+      if (b.top < e.y) return 'top';
+      if (b.bottom > e.y + e.h) return 'bottom';
+      return null;
+    }
 
-  /**
-   * Draw transient HUD text (does **not** persist across frames).
-   * @param {string} txt
-   * @param {number} x
-   * @param {number} y
-   * @param {string|p5.Color} [color='#fff']
-   * @param {number} [size=24]
-   */
-  function drawText(txt, x, y, color = '#fff', size = 24) {
-    sketchInstance.push();
-    sketchInstance.fill(color);
-    sketchInstance.noStroke();
-    sketchInstance.textSize(size);
-    sketchInstance.textAlign(sketchInstance.LEFT, sketchInstance.TOP);
-    sketchInstance.text(txt, x, y);
-    sketchInstance.pop();
-  }
+    /**
+     * Scratch's “if on edge, bounce”: reflect the heading and move back
+     * inside the stage.
+     * @returns {?string} The edge bounced off, or null
+     */
+    bounceOffEdge() {
+      const edge = this.touchingEdge();
+      if (!edge) return null;
+      const b = _bounds(this._shape());
+      if (edge === 'left' || edge === 'right') this.direction = 180 - this.direction;
+      else this.direction = -this.direction;
+      this.direction = ((this.direction % 360) + 360) % 360;
+      const e = this._edges();
+      const dx = b.left < e.x ? e.x - b.left : Math.min(0, e.x + e.w - b.right);
+      const dy = b.top < e.y ? e.y - b.top : Math.min(0, e.y + e.h - b.bottom);
+      this.moveTo(this.x + dx, this.y + dy);
+      return edge;
+    }
 
-  /**
+    /**
+     * Is any part of the sprite over `color` on the stage (backdrop, pen
+     * layer and other sprites)? Samples pixels, so keep calls per frame low.
+     * @param {string|number[]|p5.Color} color
+     * @param {number} [tolerance=8] Max per-channel difference (0–255)
+     * @returns {boolean}
+     */
+    touchingColor(color, tolerance = 8) {
+      const sh = this._shape();
+      if (this.hidden || !sh || !sketchInstance.canvas) return false;
+      const [r, g, bl] = sketchInstance.color(color).levels;
+      const probe = _probeStage(this);
+      const b = _bounds(sh);
+      for (let y = Math.floor(b.top); y < Math.ceil(b.bottom); y++) {
+        for (let x = Math.floor(b.left); x < Math.ceil(b.right); x++) {
+          if (!_shapeContains(this, sh, x + 0.5, y + 0.5)) continue;
+          const p = this.fixed ? { x: x + 0.5, y: y + 0.5 } : worldToScreen(x + 0.5, y + 0.5);
+          const px = Math.floor(p.x), py = Math.floor(p.y);
+          if (px < 0 || py < 0 || px >= probe.width || py >= probe.height) continue;
+          const i = (py * probe.width + px) * 4;
+          if (Math.abs(probe.pixels[i] - r) <= tolerance &&
+              Math.abs(probe.pixels[i + 1] - g) <= tolerance &&
+              Math.abs(probe.pixels[i + 2] - bl) <= tolerance) return true;
+        }
+      }
+      return false;
+    }
+
+    /**
+     * Run `fn` whenever this sprite is clicked (topmost sprite only).
+     * @param {Function} fn Called with the sprite as `this` and first argument
+     */
+    whenClicked(fn) { this._clickHandlers.push(fn); }
+
+    /**
+     * Run `fn` whenever `msg` is broadcast.
+     * @param {string} msg Message name
+     * @param {Function} fn Called with the sprite as `this` and first argument
+     */
+    whenIReceive(msg, fn) { _addHandler(this._messageHandlers, msg, fn); }
+
+    /**
+     * Give the sprite a sound, played by name.
+     * @param {string} path Sound URL
+     * @param {string} [name] Defaults to the file name
+     */
+    addSound(path, name) { this.sounds[name || _baseName(path)] = _asset('sound', path, this).value; }
+
+    /**
+     * Start a sound and carry on (Scratch's “start sound”).
+     * ```js
+     * hero.addSound('sfx/jump.wav');
+     * whenKeyPressed('space', () => hero.playSound('jump'));
+     * ```
+     * @param {string} name Name from {@link Sprite#addSound}, or a URL
+     * @param {object} [opts] See {@link Sound#play}
+     * @returns {Voice}
+     */
+    playSound(name, opts = {}) {
+      if (!this.sounds[name]) this.addSound(name, name);
+      const v = this.sounds[name].play({ ...opts, volume: (opts.volume ?? 1) * this.volume });
+      v.owner = this;
+      return v;
+    }
+
+    /**
+     * Play a sound and wait for it to end (Scratch's “play sound until done”).
+     * ```js
+     * await hero.playSoundUntilDone('win');   // or: yield hero.playSoundUntilDone('win')
+     * ```
+     * @param {string} name
+     * @param {object} [opts]
+     * @returns {Promise<void>}
+     */
+    playSoundUntilDone(name, opts) {
+      const v = this.playSound(name, opts);
+      return _wait(() => v.ended);
+    }
+
+    /** Stop the sounds this sprite started. */
+    stopAllSounds() { voices.filter(v => v.owner === this).forEach(v => v.stop()); }
+
+    /**
+     * Hit-test a canvas point against the sprite's drawn (rotated) bounds.
+     * @param {number} px
+     * @param {number} py
+     * @returns {boolean}
+     */
+    containsPoint(px, py) {
+      if (this.hidden) return false;
+      const c = this._costume();
+      if (!c || !_imageReady(c.img)) return false;
+      const { w, h } = this._drawSize(c);
+      const m = this._middle(c);
+      const l = _toLocal({ x: m.x, y: m.y, a: this._angle() }, px, py);
+      return Math.abs(l.x) <= w / 2 && Math.abs(l.y) <= h / 2;
+    }
+
+    /** @private Rect that {@link Sprite#touchingEdge} tests against. */
+    _edges() {
+      const sk = sketchInstance;
+      return (!this.fixed && camera.bounds) || { x: 0, y: 0, w: sk.width, h: sk.height };
+    }
+
+    /** @private Current costume (its image may still be loading). */
+    _costume() {
+      const n = this.costumes.length;
+      return n ? this.costumes[((this.costumeId % n) + n) % n] : null;
+    }
+
+    /** @private Index of a costume by name or index (-1 if unknown). */
+    _costumeIndex(costume) {
+      if (typeof costume === 'number') return costume >= 0 && costume < this.costumes.length ? costume : -1;
+      return this.costumes.findIndex(c => c.name === costume);
+    }
+
+    /** @private Drawn width / height for a costume. */
+    _drawSize(c) {
+      const n = _costumeSize(c);
+      return { w: this.w ?? n.w * this.scale, h: this.h ?? n.h * this.scale };
+    }
+
+    /** @private Advance the playing animation by `dt` seconds. */
+    _animate(dt) {
+      const a = this._anim;
+      const def = a && this.animations[a.name];
+      if (!def || !def.frames.length || def.fps <= 0) return;
+      a.t += dt;
+      const last = def.frames.length - 1;
+      while (this._anim === a && a.t >= 1 / def.fps) {
+        a.t -= 1 / def.fps;
+        let next = a.pos + a.step, cycled = false;
+        if (next > last || next < 0) {
+          if (def.mode === 'once') {
+            this._anim = null;
+            if (def.onFinish) def.onFinish.call(this, this);
+            a.ended = true;
+            return;
+          }
+          // a ping-pong cycle ends when it bounces back off the first frame
+          cycled = def.mode !== 'pingpong' || next < 0;
+          if (def.mode === 'pingpong' && last > 0) { a.step = -a.step; next = a.pos + a.step; }
+          else next = 0;
+        }
+        a.pos = next;
+        this._showFrame();
+        if (cycled && def.onFinish) def.onFinish.call(this, this);
+      }
+    }
+
+    /** @private Apply the animation's current frame as the costume. */
+    _showFrame() {
+      const def = this.animations[this._anim.name];
+      const i = this._costumeIndex(def.frames[this._anim.pos]);
+      if (i >= 0) this.costumeId = i;
+    }
+
+    /** @private World-space collision geometry (null while loading). */
+    _shape() {
+      const c = this._costume();
+      if (!c || !_imageReady(c.img)) return null;
+      const { w, h } = this._drawSize(c);
+      const m = this._middle(c);
+      if (this.collisionShape === 'circle') {
+        const r = this.hitRadius != null ? this.hitRadius * (w / _costumeSize(c).w) : (w + h) / 4;
+        return { type: 'circle', x: m.x, y: m.y, r };
+      }
+      return { type: 'rect', x: m.x, y: m.y, hw: w / 2, hh: h / 2, a: this._angle() };
+    }
+
+    /** @private Drawn rotation (radians); only 'free' sprites turn. */
+    _angle() { return this.rotationStyle === 'free' ? sketchInstance.radians(this.direction) : 0; }
+
+    /** @private A 'flipped' sprite facing left is mirrored. */
+    _mirrored() {
+      if (this.rotationStyle !== 'flipped') return false;
+      const d = ((this.direction % 360) + 360) % 360;
+      return d > 90 && d < 270;
+    }
+
+    /** @private Offset from the rotation centre to the costume's middle, before turning (px). */
+    _pivotOffset(c) {
+      const n = _costumeSize(c), { w, h } = this._drawSize(c);
+      return { x: (n.w / 2 - (c.cx ?? n.w / 2)) * (w / n.w || 0), y: (n.h / 2 - (c.cy ?? n.h / 2)) * (h / n.h || 0) };
+    }
+
+    /** @private World position of the costume's middle (x/y is its rotation centre). */
+    _middle(c) {
+      const o = this._pivotOffset(c);
+      if (!o.x && !o.y) return { x: this.x, y: this.y };
+      const ox = this._mirrored() ? -o.x : o.x, a = this._angle();
+      const cos = Math.cos(a), sin = Math.sin(a);
+      return { x: this.x + ox * cos - o.y * sin, y: this.y + ox * sin + o.y * cos };
+    }
+
+    /**
+     * @private Pixel effects in use, rounded to `EFFECT_STEPS` so animated
+     * values share cached images, with their cache key; null if none and no tint.
+     * @returns {?{key: string, fx: Object<string, number>}}
+     */
+    _effectState() {
+      const fx = {};
+      PIXEL_EFFECTS.forEach(n => {
+        const v = Math.round((this.effects[n] || 0) / EFFECT_STEPS[n]) * EFFECT_STEPS[n];
+        fx[n] = n === 'color' ? ((v % 200) + 200) % 200 : v;
+      });
+      if (!PIXEL_EFFECTS.some(n => fx[n]) && this.tintColor == null) return null;
+      return { key: `${PIXEL_EFFECTS.map(n => fx[n]).join()}|${this.tintColor ?? ''}`, fx };
+    }
+
+    /** @private Draw pen trail from the last traced point to here. */
+    _trace() {
+      const from = this._penAt;
+      if (!from || !penLayer || (from.x === this.x && from.y === this.y)) return;
+      penLayer.push();
+      penLayer.stroke(this.penColor ?? pen.color);
+      penLayer.strokeWeight(this.penSize ?? pen.size);
+      penLayer.line(from.x, from.y, this.x, this.y);
+      penLayer.pop();
+      this._penAt = { x: this.x, y: this.y };
+    }
+
+    /**
+     * @private Internal renderer (called by engine).
+     * @param {p5|p5.Graphics} [g] Render target (defaults to the main canvas)
+     */
+    _draw(g = sketchInstance) {
+      if (this.hidden) return;
+      const c = this._costume();
+      if (!c) return;
+
+      g.push();
+      g.translate(this.x, this.y);
+
+      // rotate or flip (about the rotation centre)
+      if (this.rotationStyle === 'free') g.rotate(this._angle());
+      else if (this._mirrored()) g.scale(-1, 1);
+      const o = this._pivotOffset(c);
+      if (o.x || o.y) g.translate(o.x, o.y);
+
+      const { w: dw, h: dh } = this._drawSize(c);
+      const ghost = this.effects.ghost || 0;
+      if (ghost) g.drawingContext.globalAlpha *= 1 - ghost / 100;   // restored by pop()
+      const fx = _imageReady(c.img) && !brokenImages.has(c.img) ? this._effectState() : null;
+      const img = fx && _effectCostume(c, fx.key, fx.fx, this.tintColor);
+      if (img) {
+        g.imageMode(sketchInstance.CENTER);
+        g.image(img, 0, 0, dw, dh);
+      } else _drawCostume(g, c, dw, dh);
+      g.pop();
+    }
+
+    /**
+     * @private Draw the say / think bubble, above the sprite's top edge and
+     * nudged inside the visible area.
+     */
+    _drawBubble(g = sketchInstance) {
+      const b = this._bubble;
+      if (!b || this.hidden) return;
+      const c = this._costume();
+      const { w, h } = c ? this._drawSize(c) : { w: 0, h: 0 };
+      const view = this.fixed ? { left: 0, top: 0, right: g.width, bottom: g.height } : _viewRect();
+      const L = _layoutText(g, b.text, 0, 0, BUBBLE_STYLE);
+      const p = BUBBLE_STYLE.padding, bw = L.w + p * 2, bh = L.h + p * 2, tail = 14, m = 4;
+      // prefer up-and-right of the sprite, flip to the left near the right edge
+      let left = this.x + w / 4;
+      if (left + bw > view.right - m) left = this.x - w / 4 - bw;
+      left = Math.min(Math.max(left, view.left + m), view.right - m - bw);
+      const top = Math.min(Math.max(this.y - h / 2 - tail - bh, view.top + m), view.bottom - m - bh);
+      const tx = Math.min(Math.max(this.x, left + 12), left + bw - 12), ty = top + bh;
+
+      g.push();
+      g.fill(BUBBLE_STYLE.background);
+      g.stroke(150);
+      g.strokeWeight(2);
+      g.rect(left, top, bw, bh, BUBBLE_STYLE.radius);
+      if (b.think) {
+        [[0.45, 5], [0.85, 3]].forEach(([t, r]) => g.circle(tx + (this.x - tx) * t, ty + tail * t, r * 2));
+      } else {
+        g.triangle(tx - 8, ty - 1, tx + 8, ty - 1, tx + (this.x < tx ? -6 : 6), ty + tail);
+        g.noStroke();
+        g.rect(tx - 7, ty - 3, 14, 4);   // hide the box edge under the tail's root
+      }
+      g.pop();
+      _drawTextBlock(g, b.text, left + p, top + p, BUBBLE_STYLE);
+    }
+  }
+
+  /** @private Look of {@link Sprite#say} / {@link Sprite#think} bubbles. */
+  const BUBBLE_STYLE = {
+    color: '#222', size: 16, font: 'sans-serif', maxWidth: 180, align: 'left', valign: 'top',
+    lineHeight: 1.2, background: '#fff', padding: 8, radius: 10,
+    outline: null, outlineWidth: 2, shadow: null, shadowOffset: 2
+  };
+
+  /* ──────────────────────────────────────────────
+     Costumes & atlases (internal)
+     ────────────────────────────────────────────── */
+  /**
+   * One costume: a whole image or a frame cut from a sheet. A trimmed frame
+   * sits at (`ox`, `oy`) inside its untrimmed `w` × `h` box.
+   * @typedef {object} Costume
+   * @property {string} name
+   * @property {p5.Image} img Source image (shared between sheet frames)
+   * @property {?number} sx Source rect in `img` (null = whole image)
+   * @property {?number} sy
+   * @property {?number} sw
+   * @property {?number} sh
+   * @property {?number} w Untrimmed width (null = image width)
+   * @property {?number} h Untrimmed height (null = image height)
+   * @property {number} ox Offset of the source rect inside the untrimmed box
+   * @property {number} oy
+   * @property {?number} cx Rotation centre in the untrimmed box (null = middle)
+   * @property {?number} cy
+   */
+
+  /**
+   * @typedef {object} Animation
+   * @property {Array<string|number>} frames Costume names or indices
+   * @property {number} fps
+   * @property {'loop'|'pingpong'|'once'} mode
+   * @property {?Function} onFinish
+   */
+
+  /** @private Whole-image costume named after its file. */
+  function _imageCostume(path, who) {
+    return { name: _baseName(path), img: _asset('image', path, who).value,
+      sx: null, sy: null, sw: null, sh: null, w: null, h: null, ox: 0, oy: 0, cx: null, cy: null };
+  }
+
+  /** @private Costume cut from a sheet: `f` holds sx/sy/sw/sh and optional w/h/ox/oy/cx/cy. */
+  function _frameCostume(name, img, f) {
+    return { name, img, sx: f.sx, sy: f.sy, sw: f.sw, sh: f.sh,
+      w: f.w ?? f.sw, h: f.h ?? f.sh, ox: f.ox || 0, oy: f.oy || 0, cx: f.cx ?? null, cy: f.cy ?? null };
+  }
+
+  /**
+   * @private Has the image got its pixels? p5 hands out a 1 × 1 placeholder
+   * while loading.
+   */
+  function _imageReady(img) { return !!img && img.width > 0 && !loadingImages.has(img); }
+
+  /** @private Natural (untrimmed) size of a costume. */
+  function _costumeSize(c) {
+    return { w: c.w ?? c.img.width, h: c.h ?? c.img.height };
+  }
+
+  /** @private Draw a costume centred on the origin at `dw` × `dh`. */
+  function _drawCostume(g, c, dw, dh) {
+    if (brokenImages.has(c.img)) {
+      // missing file: a crossed-out box instead of nothing
+      const w = dw || 40, h = dh || 40;
+      g.push();
+      g.noFill();
+      g.stroke(255, 0, 255);
+      g.strokeWeight(2);
+      g.rect(-w / 2, -h / 2, w, h);
+      g.line(-w / 2, -h / 2, w / 2, h / 2);
+      g.line(w / 2, -h / 2, -w / 2, h / 2);
+      g.pop();
+      return;
+    }
+    if (c.sw == null) {
+      g.imageMode(sketchInstance.CENTER);
+      g.image(c.img, 0, 0, dw, dh);
+      return;
+    }
+    const { w, h } = _costumeSize(c), kx = dw / w, ky = dh / h;
+    g.imageMode(sketchInstance.CORNER);
+    g.image(c.img, (c.ox - w / 2) * kx, (c.oy - h / 2) * ky, c.sw * kx, c.sh * ky,
+      c.sx, c.sy, c.sw, c.sh);
+  }
+
+  /** @private Scratch graphic effects. */
+  const EFFECTS = ['ghost', 'color', 'brightness', 'pixelate', 'mosaic', 'whirl', 'fisheye'];
+  /** @private Effects baked into costume pixels (ghost is plain alpha), in processing order. */
+  const PIXEL_EFFECTS = ['mosaic', 'pixelate', 'whirl', 'fisheye', 'color', 'brightness'];
+  /**
+   * @private Effect values are baked in steps of this size, so animated
+   * effects reuse a few images (a colour cycle takes 25).
+   */
+  const EFFECT_STEPS = { color: 8, brightness: 4, pixelate: 5, mosaic: 10, whirl: 10, fisheye: 10 };
+  /** @private Filtered versions kept per costume. */
+  const EFFECT_CACHE_SIZE = 32;
+  /** @private Most new versions filtered per frame; the rest wait a frame. */
+  const EFFECT_BAKES_PER_FRAME = 4;
+  /** @private Bake budget left in frame `bakeFrame`. */
+  let bakesLeft = 0, bakeFrame = -1;
+
+  /**
+   * A costume's untrimmed box with effects and tint applied, made once per
+   * `key` (the least recently used versions are dropped). Over the frame's
+   * bake budget it returns the costume's latest version instead, or null.
+   * @private
+   * @returns {?p5.Image}
+   */
+  function _effectCostume(c, key, fx, tint) {
+    let m = effectCache.get(c);
+    if (!m) effectCache.set(c, (m = new Map()));
+    let img = m.get(key);
+    if (img) m.delete(key);   // re-inserted below as the newest
+    else {
+      if (bakeFrame !== sketchInstance.frameCount) { bakeFrame = sketchInstance.frameCount; bakesLeft = EFFECT_BAKES_PER_FRAME; }
+      if (bakesLeft <= 0) return m.size ? [...m.values()].pop() : null;
+      bakesLeft--;
+      img = _bakeEffects(c, fx, tint);
+    }
+    m.set(key, img);
+    if (m.size > EFFECT_CACHE_SIZE) m.delete(m.keys().next().value);
+    return img;
+  }
+
+  /**
+   * Filter a costume on the CPU, following Scratch's effect shader: the
+   * distortions move where each pixel is sampled from, then colour,
+   * brightness and tint change the sample.
+   * @private
+   */
+  function _bakeEffects(c, fx, tint) {
+    const img = c.img, { w, h } = _costumeSize(c);
+    img.loadPixels();
+    const iw = img.width, src = img.pixels;
+    const d = Math.round(Math.sqrt(src.length / 4 / (iw * img.height))) || 1;
+    const sx = c.sx ?? 0, sy = c.sy ?? 0, sw = c.sw ?? iw, sh = c.sh ?? img.height;
+    const out = sketchInstance.createImage(w, h);
+    out.loadPixels();
+    const dst = out.pixels;
+
+    const mosaic = Math.max(1, Math.min(Math.round((Math.abs(fx.mosaic || 0) + 10) / 10), 512));
+    const block = Math.abs(fx.pixelate || 0) / 10;
+    const whirl = -(fx.whirl || 0) * Math.PI / 180;
+    const fisheye = Math.max(0, ((fx.fisheye || 0) + 100) / 100);
+    const hue = ((((fx.color || 0) / 200) % 1) + 1) % 1;
+    const bright = (fx.brightness || 0) / 100;
+    const t = tint == null ? [255, 255, 255, 255] : sketchInstance.color(tint).levels;
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let u = (x + 0.5) / w, v = (y + 0.5) / h;
+        if (mosaic > 1) { u = (u * mosaic) % 1; v = (v * mosaic) % 1; }
+        if (block > 0) {
+          u = (Math.floor(u * w / block) + 0.5) * block / w;
+          v = (Math.floor(v * h / block) + 0.5) * block / h;
+        }
+        if (whirl) {
+          const ox = u - 0.5, oy = v - 0.5;
+          const f = Math.max(1 - Math.hypot(ox, oy) / 0.5, 0), a = whirl * f * f;
+          const cos = Math.cos(a), sin = Math.sin(a);
+          u = 0.5 + cos * ox + sin * oy;
+          v = 0.5 - sin * ox + cos * oy;
+        }
+        if (fisheye !== 1) {
+          const vx = (u - 0.5) / 0.5, vy = (v - 0.5) / 0.5, len = Math.hypot(vx, vy);
+          if (len > 0) {
+            const r = Math.pow(Math.min(len, 1), fisheye) * Math.max(1, len);
+            u = 0.5 + r * (vx / len) * 0.5;
+            v = 0.5 + r * (vy / len) * 0.5;
+          }
+        }
+        const px = Math.floor(u * w) - c.ox, py = Math.floor(v * h) - c.oy;
+        if (u < 0 || v < 0 || u >= 1 || v >= 1 || px < 0 || py < 0 || px >= sw || py >= sh) continue;
+        const i = (((sy + py) * d) * iw * d + (sx + px) * d) * 4;
+        if (!src[i + 3]) continue;
+        let rgb = [src[i] / 255, src[i + 1] / 255, src[i + 2] / 255];
+        if (hue) rgb = _shiftHue(rgb, hue);
+        if (bright) rgb = rgb.map(k => Math.max(0, Math.min(1, k + bright)));
+        const o = (y * w + x) * 4;
+        dst[o] = rgb[0] * t[0];
+        dst[o + 1] = rgb[1] * t[1];
+        dst[o + 2] = rgb[2] * t[2];
+        dst[o + 3] = src[i + 3] * t[3] / 255;
+      }
+    }
+    out.updatePixels();
+    return out;
+  }
+
+  /**
+   * Rotate a colour's hue by `shift` turns. Like Scratch, near-black and grey
+   * pixels get a little colour first so the effect shows on them.
+   * @private
+   */
+  function _shiftHue([r, g, b], shift) {
+    const max = Math.max(r, g, b), min = Math.min(r, g, b), delta = max - min;
+    let hh = 0, s = max ? delta / max : 0, v = max;
+    if (delta) {
+      hh = max === r ? ((g - b) / delta) % 6 : max === g ? (b - r) / delta + 2 : (r - g) / delta + 4;
+      hh /= 6;
+    }
+    if (v < 0.055) { hh = 0; s = 1; v = 0.055; }
+    else if (s < 0.09) { hh = 0; s = 0.09; }
+    hh = (((hh + shift) % 1) + 1) % 1;
+    const k = n => { const q = (n + hh * 6) % 6; return v - v * s * Math.max(0, Math.min(q, 4 - q, 1)); };
+    return [k(5), k(3), k(1)];
+  }
+
+  /** @private `'img/hero.png'` → `'hero'`. */
+  function _baseName(path) {
+    return String(path).split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+  }
+
+  /** @private Resolve `rel` against the folder of `base`. */
+  function _resolvePath(base, rel) {
+    if (/^([a-z]+:|\/)/i.test(rel)) return rel;
+    const i = base.lastIndexOf('/');
+    return i >= 0 ? base.slice(0, i + 1) + rel : rel;
+  }
+
+  /**
+   * Normalise TexturePacker / Aseprite JSON (hash or array `frames`).
+   * @private
+   * @returns {{image: string, frames: object[], tags: object[]}}
+   */
+  function _parseAtlas(json) {
+    const list = Array.isArray(json.frames)
+      ? json.frames
+      : Object.keys(json.frames || {}).map(k => ({ filename: k, ...json.frames[k] }));
+    const frames = list.map((f, i) => {
+      if (f.rotated) console.warn(`[p5sprite] rotated atlas frame "${f.filename}" is not supported`);
+      const r = f.frame, src = f.spriteSourceSize, size = f.sourceSize;
+      const w = f.trimmed && size ? size.w : r.w, h = f.trimmed && size ? size.h : r.h;
+      return {
+        name: f.filename ?? String(i), duration: f.duration,
+        sx: r.x, sy: r.y, sw: r.w, sh: r.h, w, h,
+        ox: f.trimmed && src ? src.x : 0, oy: f.trimmed && src ? src.y : 0,
+        // TexturePacker pivots are fractions of the untrimmed frame
+        cx: f.pivot ? f.pivot.x * w : null, cy: f.pivot ? f.pivot.y * h : null
+      };
+    });
+    const meta = json.meta || {};
+    return { image: meta.image || '', frames, tags: meta.frameTags || [] };
+  }
+
+  /* ──────────────────────────────────────────────
+     Collision geometry (internal)
+     ────────────────────────────────────────────── */
+  /**
+   * Separating-axis test between two shapes from {@link Sprite#_shape}.
+   * @private
+   * @returns {?{x: number, y: number, depth: number}} Vector pushing `a` out of `b`
+   */
+  function _overlap(a, b) {
+    if (a.type === 'circle' && b.type === 'circle') {
+      const dx = a.x - b.x, dy = a.y - b.y, d = Math.hypot(dx, dy);
+      const depth = a.r + b.r - d;
+      if (depth <= 0) return null;
+      const nx = d ? dx / d : 1, ny = d ? dy / d : 0;
+      return { x: nx * depth, y: ny * depth, depth };
+    }
+    const axes = [];
+    [a, b].forEach(s => { if (s.type === 'rect') axes.push(..._rectAxes(s)); });
+    const circ = a.type === 'circle' ? a : (b.type === 'circle' ? b : null);
+    if (circ) {
+      const rect = circ === a ? b : a;
+      const p = _closestOnRect(rect, circ.x, circ.y);
+      const d = Math.hypot(circ.x - p.x, circ.y - p.y);
+      if (d > 1e-9) axes.push([(circ.x - p.x) / d, (circ.y - p.y) / d]);
+    }
+    let best = null;
+    for (const [ax, ay] of axes) {
+      const [minA, maxA] = _project(a, [ax, ay]), [minB, maxB] = _project(b, [ax, ay]);
+      const fwd = maxB - minA, back = maxA - minB;   // push a along +axis / −axis
+      const depth = Math.min(fwd, back);
+      if (depth <= 0) return null;
+      if (!best || depth < best.depth) best = fwd < back ? { x: ax, y: ay, depth } : { x: -ax, y: -ay, depth };
+    }
+    return { x: best.x * best.depth, y: best.y * best.depth, depth: best.depth };
+  }
+
+  /** @private Unit axes of a rotated rect. */
+  function _rectAxes(r) {
+    const c = Math.cos(r.a), s = Math.sin(r.a);
+    return [[c, s], [-s, c]];
+  }
+
+  /** @private Project a shape onto a unit axis → [min, max]. */
+  function _project(s, [ax, ay]) {
+    const c = s.x * ax + s.y * ay;
+    if (s.type === 'circle') return [c - s.r, c + s.r];
+    const [[ux, uy], [vx, vy]] = _rectAxes(s);
+    const ext = s.hw * Math.abs(ux * ax + uy * ay) + s.hh * Math.abs(vx * ax + vy * ay);
+    return [c - ext, c + ext];
+  }
+
+  /** @private Rect-local coordinates of a world point. */
+  function _toLocal(r, px, py) {
+    const c = Math.cos(r.a), s = Math.sin(r.a), dx = px - r.x, dy = py - r.y;
+    return { x: dx * c + dy * s, y: -dx * s + dy * c };
+  }
+
+  /** @private Closest point on (or in) a rotated rect to a world point. */
+  function _closestOnRect(r, px, py) {
+    const l = _toLocal(r, px, py);
+    const lx = Math.max(-r.hw, Math.min(r.hw, l.x)), ly = Math.max(-r.hh, Math.min(r.hh, l.y));
+    const c = Math.cos(r.a), s = Math.sin(r.a);
+    return { x: r.x + lx * c - ly * s, y: r.y + lx * s + ly * c };
+  }
+
+  /** @private Axis-aligned bounds of a shape. */
+  function _bounds(s) {
+    if (s.type === 'circle') return { left: s.x - s.r, right: s.x + s.r, top: s.y - s.r, bottom: s.y + s.r };
+    const ex = _project(s, [1, 0]), ey = _project(s, [0, 1]);
+    return { left: ex[0], right: ex[1], top: ey[0], bottom: ey[1] };
+  }
+
+  /** @private Point-in-shape test, pixel-accurate for `'mask'` sprites. */
+  function _shapeContains(sprite, s, px, py) {
+    if (s.type === 'circle') return Math.hypot(px - s.x, py - s.y) <= s.r;
+    const l = _toLocal(s, px, py);
+    if (Math.abs(l.x) > s.hw || Math.abs(l.y) > s.hh) return false;
+    if (sprite.collisionShape !== 'mask') return true;
+    const m = _mask(sprite._costume());
+    const lx = sprite._mirrored() ? -l.x : l.x;
+    const ix = Math.floor((lx + s.hw) / (2 * s.hw) * m.w);
+    const iy = Math.floor((l.y + s.hh) / (2 * s.hh) * m.h);
+    return ix >= 0 && iy >= 0 && ix < m.w && iy < m.h && m.alpha[iy * m.w + ix] === 1;
+  }
+
+  /**
+   * Opaque-pixel mask of a costume (alpha > 127), built once per costume.
+   * @private
+   */
+  function _mask(c) {
+    let m = maskCache.get(c);
+    if (m) return m;
+    const img = c.img;
+    img.loadPixels();
+    const iw = img.width;
+    const d = Math.round(Math.sqrt(img.pixels.length / 4 / (iw * img.height))) || 1;
+    const { w, h } = _costumeSize(c);
+    const sx = c.sx ?? 0, sy = c.sy ?? 0, sw = c.sw ?? iw, sh = c.sh ?? img.height;
+    const alpha = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const fx = x - c.ox, fy = y - c.oy;
+        if (fx < 0 || fy < 0 || fx >= sw || fy >= sh) continue;
+        alpha[y * w + x] = img.pixels[(((sy + fy) * d) * iw * d + (sx + fx) * d) * 4 + 3] > 127 ? 1 : 0;
+      }
+    }
+    m = { w, h, alpha };
+    maskCache.set(c, m);
+    return m;
+  }
+
+  /** @private Pixel test inside the overlap of two sprites' bounds. */
+  function _pixelsOverlap(sa, sb, a, b) {
+    const ba = _bounds(a), bb = _bounds(b);
+    const x0 = Math.floor(Math.max(ba.left, bb.left)), x1 = Math.ceil(Math.min(ba.right, bb.right));
+    const y0 = Math.floor(Math.max(ba.top, bb.top)), y1 = Math.ceil(Math.min(ba.bottom, bb.bottom));
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        if (_shapeContains(sa, a, x + 0.5, y + 0.5) && _shapeContains(sb, b, x + 0.5, y + 0.5)) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Render the stage without `except` into {@link probeLayer} and load its
+   * pixels. Reused for the rest of the frame.
+   * @private
+   */
+  function _probeStage(except) {
+    const sk = sketchInstance;
+    if (!probeLayer || probeLayer.width !== sk.width || probeLayer.height !== sk.height) {
+      probeLayer = sk.createGraphics(sk.width, sk.height);
+      probeLayer.pixelDensity(1);
+      probeKey = null;
+    }
+    if (probeKey && probeKey.frame === clock.frame && probeKey.except === except) return probeLayer;
+    probeLayer.clear();
+    _paintBackdrop(probeLayer);
+    scene.tilemaps.forEach(m => _inView(probeLayer, false, () => m._draw(probeLayer)));
+    if (penLayer) _inView(probeLayer, false, () => probeLayer.image(penLayer, 0, 0, sk.width, sk.height));
+    scene.sprites.filter(s => s !== except).sort((a, b) => a.layer - b.layer)
+      .forEach(s => _inView(probeLayer, s.fixed, () => s._draw(probeLayer)));
+    probeLayer.loadPixels();
+    probeKey = { frame: clock.frame, except };
+    return probeLayer;
+  }
+
+  /* ──────────────────────────────────────────────
+     Physics
+     ────────────────────────────────────────────── */
+  /**
+   * World settings for sprites with a {@link Sprite#setBody} body. Bodies
+   * step once per update (see {@link clock}), after scripts and before
+   * drawing; velocities are in px/s.
+   * @namespace physics
+   */
+  const physics = {
+    /** @member {{x: number, y: number}} Gravity (px/s²); y > 0 pulls down. */
+    gravity: { x: 0, y: 0 }
+  };
+
+  /**
+   * Set the gravity pulling on dynamic bodies.
+   * @param {number} x px/s²
+   * @param {number} y px/s² (positive = down)
+   */
+  function setGravity(x, y) { physics.gravity = { x, y }; }
+
+  /** @private Move every body in the current scene, then resolve contacts. */
+  function _stepPhysics(dt) {
+    const bodies = scene.sprites.filter(s => s.body && !s.hidden);
+    if (!bodies.length || dt <= 0) return;
+    const g = physics.gravity;
+    bodies.forEach(s => {
+      s._onGround = false;
+      if (s.body === 'static') return;
+      if (s.body === 'dynamic') {
+        s.vx += (s.ax + s._fx / s.mass + g.x * s.gravityScale) * dt;
+        s.vy += (s.ay + s._fy / s.mass + g.y * s.gravityScale) * dt;
+        const k = Math.max(0, 1 - s.drag * dt);
+        s.vx *= k; s.vy *= k;
+      } else {
+        s.vx += s.ax * dt; s.vy += s.ay * dt;
+      }
+      s._fx = s._fy = 0;
+      s.x += s.vx * dt;
+      s.y += s.vy * dt;
+    });
+    // broad phase on the boxes from before resolution; good enough at game speeds
+    const boxes = bodies.map(s => { const sh = s._shape(); return sh && _bounds(sh); });
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        const a = bodies[i], b = bodies[j], ba = boxes[i], bb = boxes[j];
+        if (a.body !== 'dynamic' && b.body !== 'dynamic') continue;
+        if (!ba || !bb || ba.right < bb.left || bb.right < ba.left || ba.bottom < bb.top || bb.bottom < ba.top) continue;
+        const hit = a.collide(b);
+        if (hit && hit.depth > 0) _resolveContact(a, b, hit, dt);
+      }
+    }
+    bodies.forEach(s => {
+      if (s.body !== 'dynamic') return;
+      scene.tilemaps.forEach(map => _resolveTiles(s, map, dt));
+      if (s.collideEdges) _resolveEdges(s, dt);
+    });
+  }
+
+  /**
+   * Separate two touching bodies by inverse mass and exchange momentum
+   * along the contact normal.
+   * @private
+   * @param {{x: number, y: number, depth: number}} hit MTV moving `a` out of `b`
+   */
+  function _resolveContact(a, b, hit, dt) {
+    const n = { x: hit.x / hit.depth, y: hit.y / hit.depth };
+    const ia = a.body === 'dynamic' ? 1 / a.mass : 0, ib = b.body === 'dynamic' ? 1 / b.mass : 0;
+    const sum = ia + ib;
+    a.x += hit.x * ia / sum; a.y += hit.y * ia / sum;
+    b.x -= hit.x * ib / sum; b.y -= hit.y * ib / sum;
+    const vn = (a.vx - b.vx) * n.x + (a.vy - b.vy) * n.y;
+    if (vn < 0) {
+      const jn = -(1 + Math.max(a.bounce, b.bounce)) * vn / sum;
+      const vt = (a.vx - b.vx) * -n.y + (a.vy - b.vy) * n.x;
+      const jt = -vt * Math.min(1, Math.max(a.friction, b.friction) * dt) / sum;
+      a.vx += (jn * n.x - jt * n.y) * ia; a.vy += (jn * n.y + jt * n.x) * ia;
+      b.vx -= (jn * n.x - jt * n.y) * ib; b.vy -= (jn * n.y + jt * n.x) * ib;
+    }
+    _contact(a, n, b);
+    _contact(b, { x: -n.x, y: -n.y }, a);
+  }
+
+  /** @private Keep a dynamic body inside its edges, bouncing off them. */
+  function _resolveEdges(s, dt) {
+    const sh = s._shape();
+    if (!sh) return;
+    const b = _bounds(sh), e = s._edges();
+    const hits = [];
+    if (b.left < e.x) hits.push(['left', e.x - b.left, 0, 1, 0]);
+    else if (b.right > e.x + e.w) hits.push(['right', e.x + e.w - b.right, 0, -1, 0]);
+    if (b.top < e.y) hits.push(['top', 0, e.y - b.top, 0, 1]);
+    else if (b.bottom > e.y + e.h) hits.push(['bottom', 0, e.y + e.h - b.bottom, 0, -1]);
+    hits.forEach(([edge, dx, dy, nx, ny]) => {
+      s.x += dx; s.y += dy;
+      _hitSurface(s, nx, ny, dt);
+      _contact(s, { x: nx, y: ny }, edge);
+    });
+  }
+
+  /** @private Push a dynamic body out of a map's solid tiles, deepest first. */
+  function _resolveTiles(s, map, dt) {
+    for (let pass = 0; pass < 4; pass++) {
+      const hit = map._collide(s);
+      if (!hit) return;
+      s.x += hit.x; s.y += hit.y;
+      const n = { x: hit.x / hit.depth, y: hit.y / hit.depth };
+      _hitSurface(s, n.x, n.y, dt);
+      _contact(s, n, hit.tile);
+    }
+  }
+
+  /** @private Bounce / stop a body's motion into a fixed surface with unit normal (nx, ny). */
+  function _hitSurface(s, nx, ny, dt) {
+    const vn = s.vx * nx + s.vy * ny;
+    if (vn >= 0) return;
+    const vt = -s.vx * ny + s.vy * nx, k = Math.min(1, s.friction * dt);
+    s.vx -= (1 + s.bounce) * vn * nx - vt * k * ny;
+    s.vy -= (1 + s.bounce) * vn * ny + vt * k * nx;
+  }
+
+  /** @private Record ground contact and fire onCollide handlers. */
+  function _contact(s, n, other) {
+    const g = physics.gravity, len = Math.hypot(g.x, g.y);
+    const down = len ? { x: g.x / len, y: g.y / len } : { x: 0, y: 1 };
+    if (n.x * down.x + n.y * down.y < -0.7) s._onGround = true;
+    s._collideHandlers.forEach(fn => fn.call(s, other, n));
+  }
+
+  /* ──────────────────────────────────────────────
+     Tilemap class  (Tiled JSON)
+     ────────────────────────────────────────────── */
+  /** Size (px) of the cached squares tile layers are rendered into. */
+  const TILE_CHUNK = 512;
+  /** Tiled stores flips in the top three bits of a gid. */
+  const FLIP_H = 0x80000000, FLIP_V = 0x40000000, FLIP_D = 0x20000000;
+  /** Clears the flip bits from a gid. */
+  const GID_MASK = 0x1fffffff;
+
+  /**
+   * One cell of a tile layer, as returned by {@link Tilemap#tileAt}.
+   * @typedef {object} Tile
+   * @property {number} gid Global tile id (flip bits removed)
+   * @property {number} id Id inside its tileset
+   * @property {string} tileset Tileset name
+   * @property {string} layer Layer name
+   * @property {number} col
+   * @property {number} row
+   * @property {number} x World x of the cell's top-left corner
+   * @property {number} y World y of the cell's top-left corner
+   * @property {number} w Cell width
+   * @property {number} h Cell height
+   * @property {string} type Tile type / class from the tileset
+   * @property {Object<string, *>} properties Custom tile properties
+   * @property {boolean} solid Blocks sprites (see {@link Tilemap#setSolid})
+   * @property {Tilemap} map
+   */
+
+  /**
+   * An entry from an object layer. Coordinates are relative to the map's
+   * top-left corner, as in Tiled.
+   * @typedef {object} MapObject
+   * @property {number} id
+   * @property {string} name
+   * @property {string} type Type / class (falls back to the tile's for tile objects)
+   * @property {string} layer Layer name
+   * @property {number} x
+   * @property {number} y
+   * @property {number} width
+   * @property {number} height
+   * @property {number} rotation Degrees, clockwise
+   * @property {number} gid Tile shown by a tile object (0 for shapes)
+   * @property {boolean} point
+   * @property {boolean} ellipse
+   * @property {?Array<{x: number, y: number}>} polygon Polygon / polyline points
+   * @property {Object<string, *>} properties Custom properties
+   */
+
+  /**
+   * A level made in Tiled (see {@link loadTilemap}). Tile layers are drawn
+   * behind the sprites from cached images; the map's top-left corner sits
+   * at world (`x`, `y`).
+   * @class
+   */
+  class Tilemap {
+    /**
+     * @param {string} url Map file, used to resolve tileset paths
+     */
+    constructor(url) {
+      /** @member {Scene} Scene the map is drawn in. */
+      this.scene = _targetScene();
+      /** @member {string} */
+      this.url = url;
+      /** @member {number} World x of the top-left corner. */
+      this.x = 0;
+      /** @member {number} World y of the top-left corner. */
+      this.y = 0;
+      /** @member {number} Width in tiles. */
+      this.cols = 0;
+      /** @member {number} Height in tiles. */
+      this.rows = 0;
+      /** @member {number} */
+      this.tileWidth = 0;
+      /** @member {number} */
+      this.tileHeight = 0;
+      /** @member {boolean} Hidden maps are neither drawn nor solid. */
+      this.hidden = false;
+      /** @member {Object<string, *>} Custom map properties. */
+      this.properties = {};
+      /** @member {Array<{name: string, visible: boolean, opacity: number, properties: object}>} Tile layers, bottom first. */
+      this.layers = [];
+      /** @member {MapObject[]} Every object of every object layer. */
+      this.objects = [];
+
+      /** @private Tilesets sorted by firstgid. */
+      this._tilesets = [];
+      /** @private @type {?Function} Custom solid test. */
+      this._solid = null;
+      /** @private Extra cells oversized tiles reach right / up. */
+      this._over = { x: 0, y: 0 };
+      /** @private Tileset images still loading. */
+      this._ready = false;
+    }
+
+    /** @member {number} Map width in px. */
+    get width() { return this.cols * this.tileWidth; }
+    /** @member {number} Map height in px. */
+    get height() { return this.rows * this.tileHeight; }
+
+    /**
+     * Topmost tile at a world point, or the tile of one layer.
+     * ```js
+     * const t = level.tileAt(hero.x, hero.y + 40);
+     * if (t && t.properties.spikes) hero.remove();
+     * ```
+     * @param {number} x
+     * @param {number} y
+     * @param {string} [layer] Only look in this layer
+     * @returns {?Tile} null for empty cells and points outside the map
+     */
+    tileAt(x, y, layer) {
+      for (let i = this.layers.length - 1; i >= 0; i--) {
+        const L = this.layers[i];
+        if (layer !== undefined ? L.name !== layer : !L.visible) continue;
+        const col = Math.floor((x - this.x - L.offsetX) / this.tileWidth);
+        const row = Math.floor((y - this.y - L.offsetY) / this.tileHeight);
+        const t = this._tile(L, col, row);
+        if (t) return t;
+      }
+      return null;
+    }
+
+    /**
+     * Change the tile at a world point (0 clears it).
+     * @param {number} x
+     * @param {number} y
+     * @param {number} gid Global tile id, as shown by Tiled + the tileset's firstgid
+     * @param {string} [layer] Layer name (default: the top layer)
+     */
+    setTileAt(x, y, gid, layer) {
+      const L = layer !== undefined ? this.layers.find(l => l.name === layer) : this.layers[this.layers.length - 1];
+      if (!L) return;
+      const col = Math.floor((x - this.x - L.offsetX) / this.tileWidth);
+      const row = Math.floor((y - this.y - L.offsetY) / this.tileHeight);
+      if (col < 0 || row < 0 || col >= L.cols || row >= L.rows) return;
+      L.data[row * L.cols + col] = gid;
+      const x0 = Math.floor(col * this.tileWidth / TILE_CHUNK);
+      const x1 = Math.floor((col + 1 + this._over.x) * this.tileWidth / TILE_CHUNK);
+      const y0 = Math.floor((row - this._over.y) * this.tileHeight / TILE_CHUNK);
+      const y1 = Math.floor((row + 1) * this.tileHeight / TILE_CHUNK);
+      for (let cy = y0; cy <= y1; cy++) {
+        for (let cx = x0; cx <= x1; cx++) {
+          const c = L._chunks.get(`${cx},${cy}`);
+          if (c) c.dirty = true;
+        }
+      }
+    }
+
+    /**
+     * Choose which tiles block sprites. By default a tile is solid when it
+     * (in the tileset) or its layer has a custom `solid` property set to true.
+     * Solid tiles stop physics bodies and count for {@link Sprite#collide}.
+     * ```js
+     * level.setSolid('Ground');             // every tile of a layer
+     * level.setSolid([1, 2, 3, 17]);        // these gids
+     * level.setSolid(t => t.type === 'wall');
+     * ```
+     * @param {string|number[]|Function} test Layer name, gids, or `tile => boolean`
+     */
+    setSolid(test) {
+      if (Array.isArray(test)) { const ids = new Set(test); this._solid = t => ids.has(t.gid); }
+      else if (typeof test === 'string') this._solid = t => t.layer === test;
+      else this._solid = test;
+    }
+
+    /**
+     * Is there a solid tile at a world point?
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    isSolidAt(x, y) {
+      return this.layers.some(L => {
+        const t = this._tile(L, Math.floor((x - this.x - L.offsetX) / this.tileWidth),
+          Math.floor((y - this.y - L.offsetY) / this.tileHeight));
+        return !!t && t.solid;
+      });
+    }
+
+    /**
+     * Objects of one type / class.
+     * @param {string} type
+     * @returns {MapObject[]}
+     */
+    objectsOfType(type) { return this.objects.filter(o => o.type === type); }
+
+    /**
+     * Create a sprite for every object of a type, centred on the object, in
+     * the map's scene (even while another scene is showing).
+     * The sprite's `properties` field holds the object's custom properties.
+     * ```js
+     * level.spawn('coin', 'coin.png');
+     * level.spawn('enemy', obj => createSprite('slime.png').setBody('dynamic'));
+     * level.spawn('crate');                    // tile objects: use their tile
+     * ```
+     * @param {string} type
+     * @param {string|Function} [make] Costume URL, or `obj => Sprite`
+     *   (return null to skip); tile objects default to their tile image
+     * @returns {Sprite[]}
+     */
+    spawn(type, make) {
+      const outer = buildingScene;
+      buildingScene = this.scene;
+      try { return this._spawnAll(type, make); } finally { buildingScene = outer; }
+    }
+
+    /** @private {@link Tilemap#spawn} with the map's scene as target. */
+    _spawnAll(type, make) {
+      return this.objectsOfType(type).map(o => {
+        let s;
+        if (typeof make === 'function') s = make(o);
+        else if (make) s = createSprite(make);
+        else {
+          s = createSprite();
+          const c = this._tileCostume(o.gid);
+          if (c) { s.costumes.push(c); s.setSize(o.width, o.height); }
+        }
+        if (!s) return null;
+        const c = this._objectCentre(o);
+        s.moveTo(c.x, c.y);
+        s.properties = { ...o.properties };
+        return s;
+      }).filter(Boolean);
+    }
+
+    /** Remove the map from its scene. */
+    remove() {
+      const i = this.scene.tilemaps.indexOf(this);
+      if (i >= 0) this.scene.tilemaps.splice(i, 1);
+      this.layers.forEach(L => { L._chunks.forEach(c => c.g.remove()); L._chunks.clear(); });
+    }
+
+    /**
+     * Deepest overlap between a sprite and the solid tiles, ignoring tile
+     * faces buried against another solid tile (so bodies slide across seams).
+     * @private
+     * @returns {?{x: number, y: number, depth: number, tile: Tile}}
+     */
+    _collide(sprite) {
+      if (this.hidden) return null;
+      const sh = sprite._shape();
+      if (!sh) return null;
+      const b = _bounds(sh), tw = this.tileWidth, th = this.tileHeight;
+      let best = null;
+      this.layers.forEach(L => {
+        const ox = this.x + L.offsetX, oy = this.y + L.offsetY;
+        const c0 = Math.floor((b.left - ox) / tw), c1 = Math.floor((b.right - ox) / tw);
+        const r0 = Math.floor((b.top - oy) / th), r1 = Math.floor((b.bottom - oy) / th);
+        for (let row = r0; row <= r1; row++) {
+          for (let col = c0; col <= c1; col++) {
+            const t = this._tile(L, col, row);
+            if (!t || !t.solid) continue;
+            const hit = _overlap(sh, { type: 'rect', x: t.x + tw / 2, y: t.y + th / 2, hw: tw / 2, hh: th / 2, a: 0 });
+            if (!hit || hit.depth <= 0 || (best && hit.depth <= best.depth)) continue;
+            const nx = hit.x / hit.depth, ny = hit.y / hit.depth;
+            if (Math.abs(nx) > 0.7 && this._solidCell(L, col + Math.sign(nx), row)) continue;
+            if (Math.abs(ny) > 0.7 && this._solidCell(L, col, row + Math.sign(ny))) continue;
+            best = { ...hit, tile: t };
+          }
+        }
+      });
+      return best;
+    }
+
+    /** @private */
+    _solidCell(L, col, row) { const t = this._tile(L, col, row); return !!t && t.solid; }
+
+    /** @private Describe one cell, or null when empty / outside. */
+    _tile(L, col, row) {
+      if (col < 0 || row < 0 || col >= L.cols || row >= L.rows) return null;
+      const gid = L.data[row * L.cols + col] & GID_MASK;
+      const ts = gid && this._tileset(gid);
+      if (!ts) return null;
+      const meta = ts.tiles.get(gid - ts.firstgid);
+      const t = {
+        gid, id: gid - ts.firstgid, tileset: ts.name, layer: L.name, col, row,
+        x: this.x + L.offsetX + col * this.tileWidth, y: this.y + L.offsetY + row * this.tileHeight,
+        w: this.tileWidth, h: this.tileHeight,
+        type: meta ? meta.type : '', properties: meta ? meta.properties : {}, solid: false, map: this
+      };
+      t.solid = this._solid ? !!this._solid(t) : t.properties.solid === true || L.properties.solid === true;
+      return t;
+    }
+
+    /** @private Tileset holding a gid. */
+    _tileset(gid) {
+      for (let i = this._tilesets.length - 1; i >= 0; i--) if (this._tilesets[i].firstgid <= gid) return this._tilesets[i];
+      return null;
+    }
+
+    /** @private Costume showing one tile (null for 0 / unknown gids). */
+    _tileCostume(gid) {
+      gid &= GID_MASK;
+      const ts = gid && this._tileset(gid);
+      if (!ts) return null;
+      const id = gid - ts.firstgid, meta = ts.tiles.get(id), name = `${ts.name}-${id}`;
+      if (meta && meta.img) return _frameCostume(name, meta.img, { sx: 0, sy: 0, sw: meta.img.width, sh: meta.img.height });
+      if (!ts.img) return null;
+      return _frameCostume(name, ts.img, { ...this._source(ts, id), sw: ts.tw, sh: ts.th });
+    }
+
+    /** @private Top-left of a tile inside its tileset image. */
+    _source(ts, id) {
+      return {
+        sx: ts.margin + (id % ts.columns) * (ts.tw + ts.spacing),
+        sy: ts.margin + Math.floor(id / ts.columns) * (ts.th + ts.spacing)
+      };
+    }
+
+    /** @private World centre of an object, following its rotation. */
+    _objectCentre(o) {
+      let dx = o.width / 2, dy = o.gid ? -o.height / 2 : o.height / 2;   // tile objects hang from their bottom-left
+      if (o.point) dx = dy = 0;
+      const r = o.rotation * Math.PI / 180;
+      return {
+        x: this.x + o.x + dx * Math.cos(r) - dy * Math.sin(r),
+        y: this.y + o.y + dx * Math.sin(r) + dy * Math.cos(r)
+      };
+    }
+
+    /**
+     * Read a Tiled map; resolves once every tileset image has loaded.
+     * @private
+     */
+    _parse(json) {
+      if (json.orientation && json.orientation !== 'orthogonal') {
+        console.warn(`[p5sprite] ${this.url}: ${json.orientation} maps are drawn as orthogonal`);
+      }
+      if (json.infinite) console.warn(`[p5sprite] ${this.url}: infinite maps are not supported; save a fixed-size map`);
+      this.cols = json.width; this.rows = json.height;
+      this.tileWidth = json.tilewidth; this.tileHeight = json.tileheight;
+      this.properties = _tiledProps(json.properties);
+      const walk = (layers, ox, oy, visible) => layers.forEach(l => {
+        const dx = ox + (l.offsetx || 0), dy = oy + (l.offsety || 0), vis = visible && l.visible !== false;
+        if (l.type === 'group') walk(l.layers || [], dx, dy, vis);
+        else if (l.type === 'tilelayer') {
+          this.layers.push({
+            name: l.name, visible: vis, opacity: l.opacity ?? 1, properties: _tiledProps(l.properties),
+            cols: l.width, rows: l.height, offsetX: dx, offsetY: dy, data: _tiledData(l), _chunks: new Map()
+          });
+        } else if (l.type === 'objectgroup') {
+          (l.objects || []).forEach(o => this.objects.push({
+            id: o.id, name: o.name || '', type: o.type || o.class || '', layer: l.name,
+            x: o.x + dx, y: o.y + dy, width: o.width || 0, height: o.height || 0, rotation: o.rotation || 0,
+            gid: (o.gid || 0) & GID_MASK, point: !!o.point, ellipse: !!o.ellipse,
+            polygon: o.polygon || o.polyline || null, properties: _tiledProps(o.properties)
+          }));
+        }
+      });
+      walk(json.layers || [], 0, 0, true);
+      return Promise.all((json.tilesets || []).map(ref => (ref.source
+        ? _loadAsset('json', _resolvePath(this.url, ref.source), `tilemap "${this.url}"`)
+          .then(ts => ts && this._addTileset(ts, ref.firstgid, _resolvePath(this.url, ref.source)))
+        : this._addTileset(ref, ref.firstgid, this.url))))
+        .then(() => {
+          this._tilesets.sort((a, b) => a.firstgid - b.firstgid);
+          this.objects.forEach(o => {
+            const ts = !o.type && o.gid && this._tileset(o.gid), meta = ts && ts.tiles.get(o.gid - ts.firstgid);
+            if (meta) o.type = meta.type;
+          });
+          const maxW = Math.max(this.tileWidth, ...this._tilesets.map(ts => ts.tw));
+          const maxH = Math.max(this.tileHeight, ...this._tilesets.map(ts => ts.th));
+          this._over = { x: Math.ceil(maxW / this.tileWidth) - 1, y: Math.ceil(maxH / this.tileHeight) - 1 };
+          this._ready = true;
+        });
+    }
+
+    /** @private Register a tileset and load its image(s); `base` resolves paths. */
+    _addTileset(ts, firstgid, base) {
+      const rec = {
+        name: ts.name || '', firstgid, tw: ts.tilewidth, th: ts.tileheight,
+        margin: ts.margin || 0, spacing: ts.spacing || 0, columns: ts.columns || 0, img: null, tiles: new Map()
+      };
+      if (!rec.columns && ts.imagewidth) {
+        rec.columns = Math.floor((ts.imagewidth - 2 * rec.margin + rec.spacing) / (rec.tw + rec.spacing));
+      }
+      rec.columns = rec.columns || 1;
+      this._tilesets.push(rec);
+      const loads = [];
+      const who = `tilemap "${this.url}"`;
+      if (ts.image) loads.push(_loadAsset('image', _resolvePath(base, ts.image), who).then(img => { rec.img = img; }));
+      (ts.tiles || []).forEach(t => {
+        const meta = { type: t.type || t.class || '', properties: _tiledProps(t.properties), img: null };
+        rec.tiles.set(t.id, meta);
+        if (t.image) loads.push(_loadAsset('image', _resolvePath(base, t.image), who).then(img => { meta.img = img; }));
+      });
+      return Promise.all(loads);
+    }
+
+    /** @private Draw the visible chunks of every tile layer (world space). */
+    _draw(g) {
+      if (this.hidden || !this._ready) return;
+      const v = _viewRect();
+      this.layers.forEach(L => {
+        if (!L.visible || L.opacity <= 0) return;
+        const ox = this.x + L.offsetX, oy = this.y + L.offsetY;
+        const maxX = Math.floor((L.cols * this.tileWidth - 1) / TILE_CHUNK);
+        const maxY = Math.floor((L.rows * this.tileHeight - 1) / TILE_CHUNK);
+        const x0 = Math.max(0, Math.floor((v.left - ox) / TILE_CHUNK)), x1 = Math.min(maxX, Math.floor((v.right - ox) / TILE_CHUNK));
+        const y0 = Math.max(0, Math.floor((v.top - oy) / TILE_CHUNK)), y1 = Math.min(maxY, Math.floor((v.bottom - oy) / TILE_CHUNK));
+        g.push();
+        g.imageMode(sketchInstance.CORNER);
+        if (L.opacity < 1) g.tint(255, L.opacity * 255);
+        for (let cy = y0; cy <= y1; cy++) {
+          for (let cx = x0; cx <= x1; cx++) g.image(this._chunk(L, cx, cy), ox + cx * TILE_CHUNK, oy + cy * TILE_CHUNK);
+        }
+        g.pop();
+      });
+    }
+
+    /** @private Cached render of one TILE_CHUNK square of a layer. */
+    _chunk(L, cx, cy) {
+      const key = `${cx},${cy}`;
+      let c = L._chunks.get(key);
+      if (c && !c.dirty) return c.g;
+      if (!c) {
+        c = { g: sketchInstance.createGraphics(TILE_CHUNK, TILE_CHUNK), dirty: true };
+        L._chunks.set(key, c);
+      }
+      const g = c.g, tw = this.tileWidth, th = this.tileHeight;
+      g.clear();
+      g.push();
+      g.imageMode(sketchInstance.CORNER);
+      g.translate(-cx * TILE_CHUNK, -cy * TILE_CHUNK);
+      const c0 = Math.max(0, Math.floor(cx * TILE_CHUNK / tw) - this._over.x);
+      const c1 = Math.min(L.cols - 1, Math.floor(((cx + 1) * TILE_CHUNK - 1) / tw));
+      const r0 = Math.max(0, Math.floor(cy * TILE_CHUNK / th));
+      const r1 = Math.min(L.rows - 1, Math.floor(((cy + 1) * TILE_CHUNK - 1) / th) + this._over.y);
+      for (let row = r0; row <= r1; row++) {
+        for (let col = c0; col <= c1; col++) {
+          const raw = L.data[row * L.cols + col];
+          if (raw) this._drawTile(g, raw, col * tw, row * th);
+        }
+      }
+      g.pop();
+      c.dirty = false;
+      return g;
+    }
+
+    /** @private Draw one (possibly flipped) tile; (px, py) is its cell's top-left. */
+    _drawTile(g, raw, px, py) {
+      const gid = raw & GID_MASK, ts = this._tileset(gid);
+      if (!ts) return;
+      const id = gid - ts.firstgid, meta = ts.tiles.get(id);
+      const img = meta && meta.img ? meta.img : ts.img;
+      if (!img) return;
+      const w = img === ts.img ? ts.tw : img.width, h = img === ts.img ? ts.th : img.height;
+      const src = img === ts.img ? this._source(ts, id) : { sx: 0, sy: 0 };
+      // oversized tiles grow up and to the right from the cell's bottom-left, as in Tiled
+      g.push();
+      g.translate(px + w / 2, py + this.tileHeight - h / 2);
+      if (raw & (FLIP_H | FLIP_V | FLIP_D)) {
+        g.scale(raw & FLIP_H ? -1 : 1, raw & FLIP_V ? -1 : 1);
+        if (raw & FLIP_D) { g.scale(-1, 1); g.rotate(Math.PI / 2); }
+      }
+      g.image(img, -w / 2, -h / 2, w, h, src.sx, src.sy, w, h);
+      g.pop();
+    }
+  }
+
+  /**
+   * Load a map saved from Tiled as JSON (`.tmj` / `.json`, CSV or
+   * uncompressed base64 layers). Tile layers are drawn behind the sprites of
+   * the scene that loads it; external tilesets must be JSON (`.tsj`).
+   * ```js
+   * const level = await loadTilemap('maps/level1.tmj');
+   * level.setSolid('Ground');
+   * level.spawn('coin', 'coin.png');
+   * camera.setBounds(0, 0, level.width, level.height);
+   * ```
+   * @param {string} url
+   * @returns {Promise<Tilemap>} Resolves once the tileset images have loaded
+   */
+  function loadTilemap(url) {
+    const map = new Tilemap(url);
+    return _loadAsset('json', url, 'loadTilemap').then(json => {
+      if (!json) throw new Error(`[p5sprite] could not load tilemap "${url}"`);
+      map.scene.tilemaps.push(map);
+      return map._parse(json);
+    }).then(() => map);
+  }
+
+  /** @private Tiled property list (or legacy object) → plain object. */
+  function _tiledProps(list) {
+    if (!Array.isArray(list)) return { ...list };
+    return list.reduce((o, p) => { o[p.name] = p.value; return o; }, {});
+  }
+
+  /** @private Raw gids of a tile layer (flip bits kept). */
+  function _tiledData(l) {
+    if (Array.isArray(l.data)) return Uint32Array.from(l.data);
+    const out = new Uint32Array(l.width * l.height);
+    if (l.encoding === 'base64' && !l.compression) {
+      const bin = atob(l.data);
+      for (let i = 0; i < out.length; i++) {
+        out[i] = (bin.charCodeAt(i * 4) | bin.charCodeAt(i * 4 + 1) << 8 |
+          bin.charCodeAt(i * 4 + 2) << 16 | bin.charCodeAt(i * 4 + 3) << 24) >>> 0;
+      }
+    } else {
+      console.warn(`[p5sprite] tile layer "${l.name}": ${l.compression || l.encoding} data is not supported; save layers as CSV`);
+    }
+    return out;
+  }
+
+  /** @private World rect currently on screen. */
+  function _viewRect() {
+    const sk = sketchInstance;
+    const pts = [[0, 0], [sk.width, 0], [0, sk.height], [sk.width, sk.height]].map(([x, y]) => screenToWorld(x, y));
+    const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+    return { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+  }
+
+  /* ──────────────────────────────────────────────
+     TextBox class
+     ────────────────────────────────────────────── */
+  /**
+   * Persistent on-canvas label (non-interactive). Text wraps at `maxWidth`,
+   * `\n` starts a new line and (`x`, `y`) is the anchor picked by
+   * `align` / `valign` (the centre by default).
+   * @class
+   */
+  class TextBox {
+    /**
+     * @param {number} x Anchor x (px)
+     * @param {number} y Anchor y (px)
+     * @param {string} txt Initial text
+     * @param {string|p5.Color} [color='#fff'] Fill colour
+     * @param {number} [size=24] Font size (px)
+     * @param {string|p5.Font} [font='sans-serif'] Font family, `.ttf` / `.otf` / `.woff` path or loaded font
+     */
+    constructor(x, y, txt, color = '#fff', size = 24, font = 'sans-serif') {
+      this.scene = _targetScene();
+      this.x = x; this.y = y;
+      this.text = txt;
+      this.color = color;
+      this.size = size;
+      this.font = font;
+      this.hidden = false;
+      this.layer = 0;
+      /** @member {boolean} Pinned to the screen (HUD) instead of the camera's world. */
+      this.fixed = false;
+      /** @member {?number} Wrap width (px); null = only break at `\n`. */
+      this.maxWidth = null;
+      /** @member {'left'|'center'|'right'} Horizontal alignment; also which side `x` is. */
+      this.align = 'center';
+      /** @member {'top'|'middle'|'bottom'} Vertical alignment; also which side `y` is. */
+      this.valign = 'middle';
+      /** @member {number} Line spacing as a multiple of `size`. */
+      this.lineHeight = 1.2;
+      /** @member {?(string|p5.Color)} Box drawn behind the text; null = none. */
+      this.background = null;
+      /** @member {number} Space between text and box edge (px). */
+      this.padding = 8;
+      /** @member {number} Box corner radius (px). */
+      this.radius = 0;
+      /** @member {?(string|p5.Color)} Text outline colour; null = none. */
+      this.outline = null;
+      /** @member {number} Outline width (px). */
+      this.outlineWidth = 2;
+      /** @member {?(string|p5.Color)} Drop-shadow colour; null = none. */
+      this.shadow = null;
+      /** @member {number} Shadow offset (px, down and right). */
+      this.shadowOffset = 2;
+      /** @member {number} Typewriter speed (characters/s); 0 = show all at once. */
+      this.typeSpeed = 0;
+      /** @private Game time the typewriter started at. */
+      this._typeFrom = 0;
+      _fontAsset(font);
+    }
+
+    /** @param {string} t New text (restarts the typewriter, if on) */
+    setText(t) { this.text = t; this._typeFrom = _now(); }
+    /** @param {number} x
+        @param {number} y */
+    moveTo(x, y) { this.x = x; this.y = y; }
+
+    /**
+     * Set several style fields at once.
+     * ```js
+     * createTextBox(640, 80, 'Level 1').setStyle({
+     *   maxWidth: 400, background: '#000a', padding: 12, radius: 8, outline: '#000'
+     * });
+     * ```
+     * @param {object} style Any of the label's fields (`color`, `size`, `font`,
+     *   `maxWidth`, `align`, `valign`, `lineHeight`, `background`, `padding`,
+     *   `radius`, `outline`, `outlineWidth`, `shadow`, `shadowOffset`)
+     * @returns {TextBox} this
+     */
+    setStyle(style) {
+      Object.assign(this, style);
+      _fontAsset(this.font);
+      return this;
+    }
+
+    /**
+     * Reveal the text a character at a time, like a game dialogue box.
+     * ```js
+     * await label.typewriter(40);
+     * ```
+     * @param {number} [cps=30] Characters per second
+     * @returns {Promise<void>} Resolves once the whole text shows
+     */
+    typewriter(cps = 30) {
+      this.typeSpeed = cps;
+      this._typeFrom = _now();
+      return _wait(() => !this.typing);
+    }
+
+    /** Show the rest of the text now and turn the typewriter off. */
+    finishTyping() { this.typeSpeed = 0; }
+
+    /** @member {boolean} The typewriter is still revealing text. */
+    get typing() { return this.typeSpeed > 0 && this._typed() < String(this.text).length; }
+
+    /** Remove the label from the stage. */
+    remove() {
+      const i = this.scene.textBoxes.indexOf(this);
+      if (i >= 0) this.scene.textBoxes.splice(i, 1);
+    }
+
+    /** @private Characters shown so far. */
+    _typed() {
+      return this.typeSpeed > 0 ? Math.floor((_now() - this._typeFrom) * this.typeSpeed) : Infinity;
+    }
+
+    /** @private */
+    _draw() {
+      if (this.hidden) return;
+      _drawTextBlock(sketchInstance, String(this.text), this.x, this.y, this, this._typed());
+    }
+  }
+
+  /** @private Set while a `document.fonts` request is out, per CSS family. */
+  const requestedFonts = new Set();
+
+  /** @private Cached font file behind a `font` value, or null for family names. */
+  function _fontAsset(font) {
+    if (typeof font !== 'string' || !/\.(ttf|otf|woff)$/i.test(font)) return null;
+    return _asset('font', font, 'createTextBox');
+  }
+
+  /**
+   * Select a font on `g`: a loaded p5.Font, a cached file (system font until
+   * it arrives) or a CSS family, which asks the browser to fetch the web font.
+   * @private
+   */
+  function _useFont(g, font) {
+    const a = _fontAsset(font);
+    if (a) { g.textFont(a.ok ? a.value : 'sans-serif'); return; }
+    if (typeof font === 'string' && !requestedFonts.has(font) && typeof document !== 'undefined' && document.fonts) {
+      requestedFonts.add(font);
+      document.fonts.load(`16px ${font}`).catch(() => {});
+    }
+    g.textFont(font);
+  }
+
+  /**
+   * Break text into lines no wider than `maxWidth` (at spaces where possible).
+   * `g` must already have the font and size selected.
+   * @private
+   */
+  function _wrapText(g, txt, maxWidth) {
+    const out = [];
+    for (const para of txt.split('\n')) {
+      if (!maxWidth) { out.push(para); continue; }
+      let line = '';
+      for (const word of para.split(' ')) {
+        const next = line ? `${line} ${word}` : word;
+        if (!line || g.textWidth(next) <= maxWidth) { line = next; continue; }
+        out.push(line);
+        line = word;
+      }
+      // a single word wider than the box is cut between characters
+      while (line.length > 1 && g.textWidth(line) > maxWidth) {
+        let n = line.length - 1;
+        while (n > 1 && g.textWidth(line.slice(0, n)) > maxWidth) n--;
+        out.push(line.slice(0, n));
+        line = line.slice(n);
+      }
+      out.push(line);
+    }
+    return out;
+  }
+
+  /**
+   * Lay out a text block styled like a {@link TextBox}. Selects the font and
+   * size on `g` as a side effect.
+   * @private
+   * @returns {{lines: string[], lh: number, w: number, h: number, left: number, top: number}}
+   *   Lines, line height and the text's own rect (without padding)
+   */
+  function _layoutText(g, txt, x, y, st) {
+    _useFont(g, st.font);
+    g.textSize(st.size);
+    const lines = _wrapText(g, txt, st.maxWidth);
+    const lh = st.size * st.lineHeight;
+    const w = Math.max(0, ...lines.map(l => g.textWidth(l)));
+    const h = lines.length * lh;
+    const left = st.align === 'left' ? x : st.align === 'right' ? x - w : x - w / 2;
+    const top = st.valign === 'top' ? y : st.valign === 'bottom' ? y - h : y - h / 2;
+    return { lines, lh, w, h, left, top };
+  }
+
+  /**
+   * Draw a styled, wrapped text block; only the first `shown` characters
+   * appear, but the layout is that of the whole text so words never jump.
+   * @private
+   */
+  function _drawTextBlock(g, txt, x, y, st, shown = Infinity) {
+    g.push();
+    const L = _layoutText(g, txt, x, y, st);
+    if (st.background != null) {
+      const p = st.padding;
+      g.noStroke();
+      g.fill(st.background);
+      g.rect(L.left - p, L.top - p, L.w + p * 2, L.h + p * 2, st.radius);
+    }
+    const ax = st.align === 'left' ? L.left : st.align === 'right' ? L.left + L.w : L.left + L.w / 2;
+    g.textAlign(st.align === 'left' ? g.LEFT : st.align === 'right' ? g.RIGHT : g.CENTER, g.CENTER);
+    let left = shown;
+    L.lines.forEach((line, i) => {
+      if (left <= 0) return;
+      const part = left >= line.length ? line : line.slice(0, left);
+      left -= line.length + 1;   // +1 for the break
+      const ly = L.top + (i + 0.5) * L.lh;
+      if (st.shadow != null) {
+        g.noStroke();
+        g.fill(st.shadow);
+        g.text(part, ax + st.shadowOffset, ly + st.shadowOffset);
+      }
+      if (st.outline != null) {
+        g.stroke(st.outline);
+        g.strokeWeight(st.outlineWidth);
+        g.strokeJoin(g.ROUND);
+      } else g.noStroke();
+      g.fill(st.color);
+      // right/left aligned partial lines must still start where the full line does
+      const px = part === line || st.align === 'left' ? ax
+        : st.align === 'right' ? ax - g.textWidth(line) + g.textWidth(part)
+        : ax - (g.textWidth(line) - g.textWidth(part)) / 2;
+      g.text(part, px, ly);
+    });
+    g.pop();
+  }
+
+  /* ──────────────────────────────────────────────
+     InputBox class  (DOM <input>)
+     ────────────────────────────────────────────── */
+  /**
+   * Unicode-capable `<input type="text">` aligned to the canvas.
+   * @class
+   */
+  class InputBox {
+    /**
+     * @param {number} x         Centre x (canvas px)
+     * @param {number} y         Centre y (canvas px)
+     * @param {number} w         Width (px)
+     * @param {number} h         Height (px)
+     * @param {string} placeholder Optional placeholder string
+     * @param {number} [layer=0] Draw-order layer
+     */
+    constructor(x, y, w, h, placeholder = '', layer = 0) {
+      /** @member {number} Layer for sort order */
+      this.layer = layer;
+      /** @member {Scene} Scene the box belongs to. */
+      this.scene = _targetScene();
+      /** @private User-requested visibility (scene switches hide it too). */
+      this._hidden = false;
+
+      /** @member {HTMLInputElement} Native DOM element */
+      this.el = document.createElement('input');
+      this.el.type = 'text';
+      this.el.placeholder = placeholder;
+      this.el.spellcheck = false;
+      this.el.autocomplete = 'off';
+      this.el.style.position = 'absolute';
+      this.el.style.padding = '4px 6px';
+      /** @member {number} Font size in stage px (scaled with the canvas). */
+      this.fontSize = 16;
+      this.el.style.font = '16px sans-serif';
+      this.el.style.boxSizing = 'border-box';
+      this.el.style.border = '1px solid #888';
+      this.el.style.borderRadius = '4px';
+      this.el.style.background = '#fff';
+      this.el.style.color = '#000';
+      this.el.style.zIndex = '10';
+
+      /** @private @type {Function[]} */
+      this._changeHandlers = [];
+      /** @private @type {Function[]} */
+      this._submitHandlers = [];
+      this.el.addEventListener('input', () => this._changeHandlers.forEach(fn => _spawn(fn, this, [this.value])));
+      this.el.addEventListener('keydown', e => {
+        if (e.key === 'Enter') this._submitHandlers.forEach(fn => _spawn(fn, this, [this.value]));
+      });
+
+      /* safe mount: wait for <body> if needed */
+      this._mount = () =>
+        (document.body || document.documentElement).appendChild(this.el);
+      if (document.body) this._mount();
+      else window.addEventListener('DOMContentLoaded', this._mount, { once: true });
+
+      // logical placement
+      this._cx = x; this._cy = y; this._w = w; this._h = h;
+      _recalc(this);    // initial attempt
+      this._applyDisplay();
+
+      this._unmount = () => this.el.remove();
+      window.addEventListener('unload', this._unmount);
+    }
+
+    /** Current string value. */
+    get value() { return this.el.value; }
+    set value(v) { this.el.value = v; }
+
+    /** Hide / show box. */
+    get hidden() { return this._hidden; }
+    set hidden(f) { this._hidden = !!f; this._applyDisplay(); }
+
+    /**
+     * Move centre coordinate.
+     * @param {number} x
+     * @param {number} y
+     */
+    moveTo(x, y) { this._cx = x; this._cy = y; _recalc(this); }
+
+    /**
+     * Resize box.
+     * @param {number} w
+     * @param {number} h
+     */
+    resize(w, h) { this._w = w; this._h = h; _recalc(this); }
+
+    /** Focus keyboard cursor. */
+    focus() { this.el.focus(); }
+
+    /**
+     * Run `fn` as a script each time the text changes.
+     * @param {Function} fn Called with the box as `this` and the new value
+     * @returns {InputBox} this
+     */
+    onChange(fn) { this._changeHandlers.push(fn); return this; }
+
+    /**
+     * Run `fn` as a script when Enter is pressed in the box.
+     * @param {Function} fn Called with the box as `this` and the value
+     * @returns {InputBox} this
+     */
+    onSubmit(fn) { this._submitHandlers.push(fn); return this; }
+
+    /** Remove the box, its DOM `<input>` and its window listeners. */
+    remove() {
+      const i = this.scene.inputBoxes.indexOf(this);
+      if (i >= 0) this.scene.inputBoxes.splice(i, 1);
+      window.removeEventListener('DOMContentLoaded', this._mount);
+      window.removeEventListener('unload', this._unmount);
+      this.el.remove();
+    }
+
+    /** @private Sync DOM element each frame. */
+    _sync() { _recalc(this); }
+
+    /** @private Show the element only if visible and its scene is current. */
+    _applyDisplay() {
+      this.el.style.display = this._hidden || this.scene !== scene ? 'none' : 'block';
+    }
+  }
+
+  /**
+   * Align InputBox DOM element to the p5 canvas, scaled like the canvas.
+   * Skips if canvas not yet ready (first frame will catch up).
+   * @private
+   * @param {InputBox} ib
+   */
+  function _recalc(ib) {
+    const sk = sketchInstance;
+    if (!sk || !sk.canvas) return;
+    const rect = sk.canvas.getBoundingClientRect();
+    const kx = rect.width / sk.width || 1, ky = rect.height / sk.height || 1;
+    const sx = window.scrollX || 0, sy = window.scrollY || 0;
+    ib.el.style.left = `${sx + rect.left + (ib._cx - ib._w / 2) * kx}px`;
+    ib.el.style.top = `${sy + rect.top + (ib._cy - ib._h / 2) * ky}px`;
+    ib.el.style.width = `${ib._w * kx}px`;
+    ib.el.style.height = `${ib._h * ky}px`;
+    ib.el.style.fontSize = `${ib.fontSize * ky}px`;
+  }
+
+  /* ──────────────────────────────────────────────
+     Widgets (canvas-drawn UI)
+     ────────────────────────────────────────────── */
+  /**
+   * Base of the canvas widgets. Widgets sit on the screen (HUD) unless
+   * `fixed` is set to false, are centred on (`x`, `y`), draw above labels in
+   * `layer` order and swallow the clicks they receive.
+   * @class
+   */
+  class Widget {
+    /**
+     * @param {number} x Centre x
+     * @param {number} y Centre y
+     * @param {number} w Width
+     * @param {number} h Height
+     */
+    constructor(x, y, w, h) {
+      /** @member {Scene} Scene the widget belongs to. */
+      this.scene = _targetScene();
+      this.x = x; this.y = y; this.w = w; this.h = h;
+      /** @member {number} Draw-order layer among widgets. */
+      this.layer = 0;
+      /** @member {boolean} */
+      this.hidden = false;
+      /** @member {boolean} Pinned to the screen (default) instead of the camera's world. */
+      this.fixed = true;
+      /** @member {boolean} Disabled widgets are greyed out and ignore the pointer. */
+      this.enabled = true;
+      /** @member {?Panel} Panel the widget was added to. */
+      this.parent = null;
+      /** @member {boolean} Pointer is over the widget. */
+      this.hovered = false;
+      /** @member {boolean} Pointer went down on the widget and is still held. */
+      this.pressed = false;
+      /** @member {string|p5.Color} Main colour. */
+      this.color = '#4a90e2';
+      /** @member {string|p5.Color} Label colour. */
+      this.textColor = '#fff';
+      /** @member {number} Label size (px). */
+      this.textSize = 18;
+    }
+
+    /** @param {number} x
+        @param {number} y */
+    moveTo(x, y) { this.x = x; this.y = y; }
+
+    /** @param {number} w
+        @param {number} h */
+    resize(w, h) { this.w = w; this.h = h; }
+
+    /** Remove the widget from the stage. */
+    remove() {
+      const i = this.scene.widgets.indexOf(this);
+      if (i >= 0) this.scene.widgets.splice(i, 1);
+      if (pressedWidget === this) pressedWidget = null;
+    }
+
+    /**
+     * Is a point (in the widget's own space) on it?
+     * @param {number} px
+     * @param {number} py
+     * @returns {boolean}
+     */
+    containsPoint(px, py) { return Math.abs(px - this.x) <= this.w / 2 && Math.abs(py - this.y) <= this.h / 2; }
+
+    /** @private Hidden itself or inside a hidden panel? */
+    _visible() { return !this.hidden && (!this.parent || this.parent._visible()); }
+
+    /** @private Pointer went down on the widget. */
+    _press() {}
+    /** @private Pointer moved while held. */
+    _drag() {}
+    /** @private Pointer let go; `inside` if still over the widget. */
+    _release() {}
+    /** @private */
+    _draw() {}
+
+    /** @private Rounded box in `fill`, tinted for hover / press / disabled. */
+    _box(fill, radius = 6) {
+      const sk = sketchInstance;
+      sk.fill(fill);
+      sk.rect(this.x - this.w / 2, this.y - this.h / 2, this.w, this.h, radius);
+      const tint = !this.enabled ? [128, 140] : this.pressed ? [0, 60] : this.hovered ? [255, 40] : null;
+      if (tint) { sk.fill(...tint); sk.rect(this.x - this.w / 2, this.y - this.h / 2, this.w, this.h, radius); }
+    }
+  }
+
+  /**
+   * Clickable button with hover and pressed looks.
+   * @class
+   */
+  class Button extends Widget {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {string} label
+     * @param {number} [w=160]
+     * @param {number} [h=44]
+     */
+    constructor(x, y, label, w = 160, h = 44) {
+      super(x, y, w, h);
+      /** @member {string} */
+      this.label = label;
+      /** @private @type {Function[]} */
+      this._clickHandlers = [];
+    }
+
+    /**
+     * Run `fn` as a script when the button is clicked (pressed and released on it).
+     * @param {Function} fn Called with the button as `this` and first argument
+     * @returns {Button} this
+     */
+    onClick(fn) { this._clickHandlers.push(fn); return this; }
+
+    /** @private */
+    _release(px, py, inside) { if (inside) this._clickHandlers.forEach(fn => _spawn(fn, this, [this])); }
+
+    /** @private */
+    _draw() {
+      const sk = sketchInstance;
+      sk.push();
+      sk.noStroke();
+      this._box(this.color);
+      sk.fill(this.textColor);
+      sk.textSize(this.textSize);
+      sk.textAlign(sk.CENTER, sk.CENTER);
+      sk.text(this.label, this.x, this.y + (this.pressed ? 1 : 0));
+      sk.pop();
+    }
+  }
+
+  /**
+   * Horizontal slider; drag the knob or click the track.
+   * @class
+   */
+  class Slider extends Widget {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [w=200]
+     * @param {number} [min=0]
+     * @param {number} [max=100]
+     * @param {number} [value=min]
+     * @param {number} [step=0] Snap to multiples of `step` (0 = continuous)
+     */
+    constructor(x, y, w = 200, min = 0, max = 100, value = min, step = 0) {
+      super(x, y, w, 24);
+      this.min = min; this.max = max; this.step = step;
+      /** @member {number} Current value (set it directly to move the knob silently). */
+      this.value = value;
+      /** @private @type {Function[]} */
+      this._changeHandlers = [];
+    }
+
+    /**
+     * Run `fn` as a script whenever the user changes the value.
+     * @param {Function} fn Called with the slider as `this` and the new value
+     * @returns {Slider} this
+     */
+    onChange(fn) { this._changeHandlers.push(fn); return this; }
+
+    /** @private */
+    _press(px) { this._drag(px); }
+
+    /** @private */
+    _drag(px) {
+      const k = Math.min(1, Math.max(0, (px - (this.x - this.w / 2)) / this.w));
+      let v = this.min + k * (this.max - this.min);
+      if (this.step > 0) v = this.min + Math.round((v - this.min) / this.step) * this.step;
+      if (v === this.value) return;
+      this.value = v;
+      this._changeHandlers.forEach(fn => _spawn(fn, this, [v]));
+    }
+
+    /** @private */
+    _draw() {
+      const sk = sketchInstance, left = this.x - this.w / 2;
+      const k = this.max > this.min ? (this.value - this.min) / (this.max - this.min) : 0;
+      sk.push();
+      sk.noStroke();
+      sk.fill(80);
+      sk.rect(left, this.y - 3, this.w, 6, 3);
+      sk.fill(this.enabled ? this.color : 128);
+      sk.rect(left, this.y - 3, this.w * k, 6, 3);
+      sk.fill(this.pressed ? 220 : this.hovered ? 255 : 240);
+      sk.circle(left + this.w * k, this.y, this.h * (this.pressed ? 0.9 : 0.8));
+      sk.pop();
+    }
+  }
+
+  /**
+   * Tick box with a label to its right.
+   * @class
+   */
+  class Checkbox extends Widget {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {string} [label='']
+     * @param {boolean} [checked=false]
+     */
+    constructor(x, y, label = '', checked = false) {
+      super(x, y, 0, 24);
+      /** @member {string} */
+      this.label = label;
+      /** @member {boolean} */
+      this.checked = checked;
+      /** @private @type {?number} Width set with `w` or `resize()`; null = fit the label. */
+      this._fixedW = null;
+      /** @private @type {?{key: string, w: number}} Width measured for a label and text size. */
+      this._measured = null;
+      /** @private @type {Function[]} */
+      this._changeHandlers = [];
+    }
+
+    /**
+     * @member {number} Width. Unless set, the box plus label, measured on
+     * first use (text can't be measured before setup) and again when `label`
+     * or `textSize` change; set it to null to fit the label again.
+     */
+    get w() {
+      if (this._fixedW != null) return this._fixedW;
+      const key = this.textSize + '|' + this.label;
+      if (!this._measured || this._measured.key !== key) this._measured = { key, w: this._width() };
+      return this._measured.w;
+    }
+
+    set w(v) { this._fixedW = v; }
+
+    /**
+     * Run `fn` as a script whenever the user ticks or unticks the box.
+     * @param {Function} fn Called with the checkbox as `this` and the new state
+     * @returns {Checkbox} this
+     */
+    onChange(fn) { this._changeHandlers.push(fn); return this; }
+
+    /** @private */
+    _release(px, py, inside) {
+      if (!inside) return;
+      this.checked = !this.checked;
+      this._changeHandlers.forEach(fn => _spawn(fn, this, [this.checked]));
+    }
+
+    /** @private Box plus label. */
+    _width() {
+      const sk = sketchInstance;
+      sk.push();
+      sk.textSize(this.textSize);
+      const w = this.h + (this.label ? 8 + sk.textWidth(this.label) : 0);
+      sk.pop();
+      return w;
+    }
+
+    /** @private */
+    _draw() {
+      const sk = sketchInstance, s = this.h, left = this.x - this.w / 2;
+      sk.push();
+      sk.stroke(this.enabled ? this.color : 128);
+      sk.strokeWeight(2);
+      sk.fill(this.hovered ? 255 : 235);
+      sk.rect(left, this.y - s / 2, s, s, 4);
+      if (this.checked) {
+        sk.strokeWeight(3);
+        sk.noFill();
+        sk.beginShape();
+        sk.vertex(left + s * 0.22, this.y);
+        sk.vertex(left + s * 0.42, this.y + s * 0.22);
+        sk.vertex(left + s * 0.8, this.y - s * 0.25);
+        sk.endShape();
+      }
+      sk.noStroke();
+      sk.fill(this.textColor);
+      sk.textSize(this.textSize);
+      sk.textAlign(sk.LEFT, sk.CENTER);
+      sk.text(this.label, left + s + 8, this.y);
+      sk.pop();
+    }
+  }
+
+  /**
+   * Progress or health bar showing `value` out of `max`.
+   * ```js
+   * const hp = createProgressBar(120, 30, 200, 16, 100);
+   * hp.value -= 10;
+   * ```
+   * @class
+   */
+  class ProgressBar extends Widget {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [w=200]
+     * @param {number} [h=20]
+     * @param {number} [max=100]
+     */
+    constructor(x, y, w = 200, h = 20, max = 100) {
+      super(x, y, w, h);
+      /** @member {number} Full amount. */
+      this.max = max;
+      /** @member {number} Current amount (clamped to 0…max when drawn). */
+      this.value = max;
+      /** @member {string|p5.Color} Bar colour. */
+      this.color = '#4caf50';
+      /** @member {string|p5.Color} Empty-track colour. */
+      this.bgColor = '#333';
+      /** @member {boolean} Print `value / max` on the bar. */
+      this.showText = false;
+    }
+
+    /** @private */
+    _draw() {
+      const sk = sketchInstance, left = this.x - this.w / 2, top = this.y - this.h / 2;
+      const k = this.max > 0 ? Math.min(1, Math.max(0, this.value / this.max)) : 0;
+      sk.push();
+      sk.noStroke();
+      sk.fill(this.bgColor);
+      sk.rect(left, top, this.w, this.h, this.h / 4);
+      sk.fill(this.color);
+      if (k > 0) sk.rect(left, top, this.w * k, this.h, this.h / 4);
+      if (this.showText) {
+        sk.fill(this.textColor);
+        sk.textSize(Math.min(this.textSize, this.h * 0.8));
+        sk.textAlign(sk.CENTER, sk.CENTER);
+        sk.text(`${Math.round(this.value)} / ${this.max}`, this.x, this.y);
+      }
+      sk.pop();
+    }
+  }
+
+  /**
+   * Background box that groups widgets: moving, hiding or removing the
+   * panel moves, hides or removes what was added to it.
+   * @class
+   */
+  class Panel extends Widget {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w
+     * @param {number} h
+     * @param {string} [title=''] Drawn in the top-left corner
+     */
+    constructor(x, y, w, h, title = '') {
+      super(x, y, w, h);
+      /** @member {string} */
+      this.title = title;
+      this.color = 'rgba(20, 20, 30, 0.85)';
+      /** @member {Widget[]} */
+      this.children = [];
+    }
+
+    /**
+     * Put widgets in the panel (drawn above it).
+     * @param {...Widget} widgets
+     * @returns {Panel} this
+     */
+    add(...widgets) {
+      widgets.forEach(w => {
+        w.parent = this;
+        if (w.layer <= this.layer) w.layer = this.layer + 1;
+        this.children.push(w);
+      });
+      return this;
+    }
+
+    /** Move the panel and its children. */
+    moveTo(x, y) {
+      const dx = x - this.x, dy = y - this.y;
+      super.moveTo(x, y);
+      this.children.forEach(c => c.moveTo(c.x + dx, c.y + dy));
+    }
+
+    /** Remove the panel and its children. */
+    remove() {
+      super.remove();
+      this.children.forEach(c => c.remove());
+    }
+
+    /** @private */
+    _draw() {
+      const sk = sketchInstance;
+      sk.push();
+      sk.noStroke();
+      sk.fill(this.color);
+      sk.rect(this.x - this.w / 2, this.y - this.h / 2, this.w, this.h, 8);
+      if (this.title) {
+        sk.fill(this.textColor);
+        sk.textSize(this.textSize);
+        sk.textAlign(sk.LEFT, sk.TOP);
+        sk.text(this.title, this.x - this.w / 2 + 12, this.y - this.h / 2 + 10);
+      }
+      sk.pop();
+    }
+  }
+
+  /** @private Add a widget to its scene. */
+  function _addWidget(w) { w.scene.widgets.push(w); return w; }
+
+  /**
+   * Create a {@link Button}.
+   * ```js
+   * createButton(640, 400, 'Play').onClick(() => goToScene('level1'));
+   * ```
+   * @returns {Button}
+   */
+  function createButton(x, y, label, w, h) { return _addWidget(new Button(x, y, label, w, h)); }
+
+  /**
+   * Create a {@link Slider}.
+   * @returns {Slider}
+   */
+  function createSlider(x, y, w, min, max, value, step) { return _addWidget(new Slider(x, y, w, min, max, value, step)); }
+
+  /**
+   * Create a {@link Checkbox}.
+   * @returns {Checkbox}
+   */
+  function createCheckbox(x, y, label, checked) { return _addWidget(new Checkbox(x, y, label, checked)); }
+
+  /**
+   * Create a {@link ProgressBar}.
+   * @returns {ProgressBar}
+   */
+  function createProgressBar(x, y, w, h, max) { return _addWidget(new ProgressBar(x, y, w, h, max)); }
+
+  /**
+   * Create a {@link Panel}.
+   * @returns {Panel}
+   */
+  function createPanel(x, y, w, h, title) { return _addWidget(new Panel(x, y, w, h, title)); }
+
+  /**
+   * Show a question with an answer box at the bottom of the stage and wait
+   * for Enter or ✓ (Scratch's “ask and wait”). Questions asked while one is
+   * open wait their turn.
+   * ```js
+   * const name = await ask('What is your name?');
+   * hero.say(`Hi ${name}!`);
+   * ```
+   * @param {string} question
+   * @returns {Promise<string>} The answer
+   */
+  function ask(question) {
+    let state = 'queued', answer = '';
+    return _wait(() => {
+      if (state === 'queued' && !asking) {
+        asking = true;
+        state = 'open';
+        _openAsk(question, v => { answer = v; state = 'done'; asking = false; });
+      }
+      return state === 'done';
+    }, () => answer);
+  }
+
+  /** @private Build the ask dialog; `done(answer)` closes it. */
+  function _openAsk(question, done) {
+    const sk = sketchInstance, w = sk.width - 40, y = sk.height - 64;
+    const panel = createPanel(sk.width / 2, y, w, 100, question);
+    panel.layer = 1000;
+    const ib = createInputBox(sk.width / 2 - 30, y + 18, w - 100, 38);
+    const ok = createButton(sk.width / 2 + w / 2 - 40, y + 18, '✓', 52, 38);
+    panel.add(ok);
+    let closed = false;
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      const v = ib.value;
+      ib.remove();
+      panel.remove();
+      done(v);
+    };
+    ok.onClick(finish);
+    ib.onSubmit(finish);
+    ib.focus();
+  }
+
+  /**
+   * Topmost interactive widget of the current scene under a stage point.
+   * @private
+   */
+  function _widgetAt(x, y) {
+    const list = scene.widgets.filter(w => w._visible() && w.enabled).sort((a, b) => b.layer - a.layer);
+    return list.find(w => { const p = _widgetPoint(w, x, y); return w.containsPoint(p.x, p.y); }) || null;
+  }
+
+  /** @private Stage point in a widget's own (screen or world) space. */
+  function _widgetPoint(w, x, y) { return w.fixed ? { x, y } : screenToWorld(x, y); }
+
+  /**
+   * Pointer went down: hand it to the widget underneath, if any.
+   * @private
+   * @returns {boolean} true when a widget took the press
+   */
+  function _pressWidget(x, y) {
+    const w = _widgetAt(x, y);
+    if (!w) return false;
+    pressedWidget = w;
+    w.pressed = true;
+    const p = _widgetPoint(w, x, y);
+    w._press(p.x, p.y);
+    return true;
+  }
+
+  /** @private Pointer let go. */
+  function _releaseWidget(x, y) {
+    const w = pressedWidget;
+    if (!w) return;
+    pressedWidget = null;
+    w.pressed = false;
+    const p = _widgetPoint(w, x, y);
+    w._release(p.x, p.y, w._visible() && w.containsPoint(p.x, p.y));
+  }
+
+  /** @private Hover and drag, once per update. */
+  function _updateWidgets() {
+    const top = _widgetAt(mouse.x, mouse.y);
+    scene.widgets.forEach(w => { w.hovered = w === top; });
+    if (pressedWidget) {
+      const p = _widgetPoint(pressedWidget, mouse.x, mouse.y);
+      pressedWidget._drag(p.x, p.y);
+    }
+  }
+
+  /* ──────────────────────────────────────────────
+     Particles (emitters)
+     ────────────────────────────────────────────── */
+  /**
+   * Options of {@link createEmitter}. A `[min, max]` pair picks a random
+   * value per particle; for the "over life" options a `[start, end]` pair
+   * fades from one to the other.
+   * @typedef {object} EmitterOptions
+   * @property {number} [rate=20] Particles per second (0 = only bursts)
+   * @property {number} [burst=0] Particles emitted at once on creation
+   * @property {number} [duration=Infinity] Seconds to keep emitting
+   * @property {number} [width=0] Particles start anywhere in a box this wide around the emitter
+   * @property {number} [height=0]
+   * @property {number|number[]} [lifetime=1] Seconds each particle lives
+   * @property {number|number[]} [speed=100] Launch speed (px/s)
+   * @property {number} [angle=0] Launch heading (degrees, 0 = right, 90 = down)
+   * @property {number} [spread=360] Width of the launch cone (degrees)
+   * @property {number} [gravity=0] Downward acceleration (px/s²)
+   * @property {number} [drag=0] Share of velocity lost per second
+   * @property {number|number[]} [spin=0] Turn speed (degrees/s)
+   * @property {number|number[]} [size=8] Diameter over life (px)
+   * @property {string|p5.Color|Array} [color='#fff'] Colour over life (shapes only)
+   * @property {number|number[]} [alpha=[1, 0]] Opacity over life (0–1)
+   * @property {'circle'|'square'|'line'} [shape='circle'] Drawn when there is no `image`;
+   *   lines point along the motion, like rain
+   * @property {?(string|p5.Image|Sprite)} [image] Image path, image, or a sprite whose costume is used
+   * @property {number} [max=500] Live particles this emitter may have
+   * @property {boolean} [autoRemove=false] Remove the emitter once it has stopped and its particles are gone
+   */
+
+  /** @private Defaults for {@link EmitterOptions}. */
+  const EMITTER_DEFAULTS = {
+    rate: 20, burst: 0, duration: Infinity, width: 0, height: 0, lifetime: 1, speed: 100, angle: 0, spread: 360,
+    gravity: 0, drag: 0, spin: 0, size: 8, color: '#fff', alpha: [1, 0], shape: 'circle',
+    image: null, max: 500, autoRemove: false
+  };
+
+  /**
+   * Particle fountain for explosions, trails, smoke or weather. Particles
+   * are plain records, not sprites: they never collide or run scripts, and
+   * each emitter draws all of its particles in one pass, in `layer` order
+   * among the sprites.
+   * @class
+   */
+  class Emitter {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {EmitterOptions} [options]
+     */
+    constructor(x, y, options = {}) {
+      /** @member {Scene} Scene the emitter belongs to. */
+      this.scene = _targetScene();
+      this.x = x; this.y = y;
+      /** @member {number} Draw-order layer, shared with sprites. */
+      this.layer = 0;
+      /** @member {boolean} */
+      this.hidden = false;
+      /** @member {boolean} Pinned to the screen (HUD) instead of the camera's world. */
+      this.fixed = false;
+      /** @member {EmitterOptions} Live settings; change them at any time. */
+      this.options = { ...EMITTER_DEFAULTS, ...options };
+      /** @member {boolean} Emitting at `rate` (see {@link Emitter#start}). */
+      this.emitting = true;
+      /** @member {?Sprite} Sprite the emitter follows (see {@link Emitter#attachTo}). */
+      this.sprite = null;
+      /** @private Offset from the followed sprite. */
+      this._offset = { x: 0, y: 0 };
+      /** @private @type {object[]} Live particles. */
+      this._particles = [];
+      /** @private Fractional particles owed by `rate`. */
+      this._acc = 0;
+      /** @private Seconds spent emitting. */
+      this._age = 0;
+      /** @private @type {?{key: *, costume: Costume}} Costume behind `options.image`. */
+      this._image = null;
+      if (this.options.burst) this.burst(this.options.burst);
+    }
+
+    /** @member {number} Live particle count. */
+    get count() { return this._particles.length; }
+
+    /**
+     * Emit `n` particles at once.
+     * @param {number} n
+     * @returns {Emitter} this
+     */
+    burst(n) {
+      for (let i = 0; i < n; i++) this._spawn();
+      return this;
+    }
+
+    /** Start (or restart) emitting at `rate`. @returns {Emitter} this */
+    start() { this.emitting = true; this._age = 0; return this; }
+
+    /** Stop emitting; live particles finish their lives. @returns {Emitter} this */
+    stop() { this.emitting = false; return this; }
+
+    /**
+     * Follow a sprite, e.g. for an exhaust trail.
+     * @param {Sprite} sprite
+     * @param {number} [dx=0] Offset from the sprite's centre
+     * @param {number} [dy=0]
+     * @returns {Emitter} this
+     */
+    attachTo(sprite, dx = 0, dy = 0) {
+      this.sprite = sprite;
+      this._offset = { x: dx, y: dy };
+      this._follow();
+      return this;
+    }
+
+    /** Stop following the sprite. */
+    detach() { this.sprite = null; }
+
+    /** @param {number} x
+        @param {number} y */
+    moveTo(x, y) { this.x = x; this.y = y; }
+
+    /** Remove the emitter and its particles. */
+    remove() {
+      const i = this.scene.emitters.indexOf(this);
+      if (i >= 0) this.scene.emitters.splice(i, 1);
+      particleCount -= this._particles.length;
+      this._particles.length = 0;
+    }
+
+    /** @private Track the followed sprite; stop once it is gone. */
+    _follow() {
+      const s = this.sprite;
+      if (!s) return;
+      if (!s.scene.sprites.includes(s)) { this.sprite = null; this.emitting = false; return; }
+      this.x = s.x + this._offset.x;
+      this.y = s.y + this._offset.y;
+    }
+
+    /** @private Add one particle, unless a cap is reached. */
+    _spawn() {
+      const o = this.options;
+      if (this._particles.length >= o.max || particleCount >= particleLimit) return;
+      const a = sketchInstance.radians(o.angle + (Math.random() - 0.5) * o.spread);
+      const speed = _pick(o.speed), spin = _pick(o.spin);
+      this._particles.push({
+        x: this.x + (Math.random() - 0.5) * o.width, y: this.y + (Math.random() - 0.5) * o.height, vx: Math.cos(a) * speed, vy: Math.sin(a) * speed,
+        age: 0, life: Math.max(1e-3, _pick(o.lifetime)), rot: spin ? Math.random() * 360 : 0, spin
+      });
+      particleCount++;
+    }
+
+    /** @private Emit, move and age particles by `dt` seconds. */
+    _update(dt) {
+      const o = this.options;
+      this._follow();
+      if (this.emitting && o.rate > 0) {
+        this._acc += o.rate * dt;
+        for (; this._acc >= 1; this._acc--) this._spawn();
+        this._age += dt;
+        if (this._age >= o.duration) this.emitting = false;
+      }
+      const list = this._particles, keep = Math.max(0, 1 - o.drag * dt);
+      let n = 0;
+      for (const p of list) {
+        p.age += dt;
+        if (p.age >= p.life) continue;
+        p.vy += o.gravity * dt;
+        p.vx *= keep; p.vy *= keep;
+        p.x += p.vx * dt; p.y += p.vy * dt;
+        p.rot += p.spin * dt;
+        list[n++] = p;
+      }
+      particleCount -= list.length - n;
+      list.length = n;
+      if (o.autoRemove && !n && !(this.emitting && o.rate > 0)) this.remove();
+    }
+
+    /** @private Costume for `options.image` (null = draw shapes). */
+    _costume() {
+      const img = this.options.image;
+      if (!img) return null;
+      if (img instanceof Sprite) return img._costume();
+      if (!this._image || this._image.key !== img) {
+        const c = typeof img === 'string' ? _imageCostume(img, 'createEmitter')
+          : { name: 'image', img, sx: null, sy: null, sw: null, sh: null, w: null, h: null, ox: 0, oy: 0, cx: null, cy: null };
+        this._image = { key: img, costume: c };
+      }
+      return this._image.costume;
+    }
+
+    /** @private Draw every particle in one pass. */
+    _draw(g = sketchInstance) {
+      if (this.hidden || !this._particles.length) return;
+      const o = this.options, c = this._costume();
+      const ctx = g.drawingContext, base = ctx.globalAlpha;
+      const [c0, c1] = _overLife(o.color).map(k => sketchInstance.color(k).levels);
+      const [s0, s1] = _overLife(o.size), [a0, a1] = _overLife(o.alpha);
+      g.push();
+      g.noStroke();
+      if (c) g.imageMode(sketchInstance.CENTER);
+      if (o.shape === 'line') g.strokeCap(sketchInstance.ROUND);
+      for (const p of this._particles) {
+        const t = p.age / p.life, size = s0 + (s1 - s0) * t, alpha = a0 + (a1 - a0) * t;
+        if (size <= 0 || alpha <= 0) continue;
+        if (c) {
+          if (!_imageReady(c.img) && !brokenImages.has(c.img)) continue;
+          const n = _costumeSize(c), k = size / Math.max(n.w, n.h, 1);
+          ctx.globalAlpha = base * Math.min(1, alpha);
+          g.push();
+          g.translate(p.x, p.y);
+          if (p.rot) g.rotate(sketchInstance.radians(p.rot));
+          _drawCostume(g, c, n.w * k, n.h * k);
+          g.pop();
+          continue;
+        }
+        const col = [0, 1, 2].map(i => c0[i] + (c1[i] - c0[i]) * t);
+        col.push((c0[3] + (c1[3] - c0[3]) * t) * Math.min(1, alpha));
+        if (o.shape === 'line') {
+          const v = Math.hypot(p.vx, p.vy) || 1, len = size * 2;
+          g.stroke(col);
+          g.strokeWeight(Math.max(1, size / 4));
+          g.line(p.x, p.y, p.x - p.vx / v * len, p.y - p.vy / v * len);
+        } else if (o.shape === 'square') {
+          g.fill(col);
+          g.push();
+          g.translate(p.x, p.y);
+          if (p.rot) g.rotate(sketchInstance.radians(p.rot));
+          g.rect(-size / 2, -size / 2, size, size);
+          g.pop();
+        } else {
+          g.fill(col);
+          g.circle(p.x, p.y, size);
+        }
+      }
+      ctx.globalAlpha = base;
+      g.pop();
+    }
+  }
+
+  /** @private A number, or a random pick from a `[min, max]` pair. */
+  function _pick(v) { return Array.isArray(v) ? v[0] + Math.random() * (v[1] - v[0]) : v; }
+
+  /** @private `[start, end]` of an over-life option (a single value holds still). */
+  function _overLife(v) { return Array.isArray(v) ? [v[0], v[v.length - 1]] : [v, v]; }
+
+  /** @private Step the current scene's emitters. */
+  function _updateParticles(dt) {
+    scene.emitters.slice().forEach(e => e._update(dt));
+  }
+
+  /**
+   * Create a particle {@link Emitter}.
+   * ```js
+   * // explosion that cleans up after itself
+   * createEmitter(x, y, { rate: 0, burst: 60, speed: [80, 240], lifetime: [0.4, 0.9],
+   *   color: ['#ff0', '#f40'], size: [10, 2], autoRemove: true });
+   * // exhaust trail
+   * createEmitter(0, 0, { angle: 180, spread: 30, speed: 60, gravity: -40 }).attachTo(ship, -20, 0);
+   * // rain across the top of the screen
+   * const rain = createEmitter(640, -10, { rate: 200, width: 1400, angle: 100, spread: 5,
+   *   speed: 600, shape: 'line', color: '#9cf', size: 6, alpha: 0.7 });
+   * rain.fixed = true;
+   * ```
+   * @param {number} x
+   * @param {number} y
+   * @param {EmitterOptions} [options]
+   * @returns {Emitter}
+   */
+  function createEmitter(x, y, options) {
+    const e = new Emitter(x, y, options);
+    e.scene.emitters.push(e);
+    return e;
+  }
+
+  /**
+   * Cap the number of live particles across all emitters; new ones are
+   * skipped beyond it.
+   * @param {number} n
+   */
+  function setParticleLimit(n) { particleLimit = n; }
+
+  /* ──────────────────────────────────────────────
+     Variables, lists & saved games
+     ────────────────────────────────────────────── */
+  /**
+   * Named game value with an optional Scratch-style readout. Variables are
+   * shared by every scene and saved by {@link saveGame}; the readout shows in
+   * the scene the variable was created in, layered with the labels.
+   * @class
+   */
+  class Variable {
+    /**
+     * @param {string} name
+     * @param {*} value Any JSON-safe value
+     */
+    constructor(name, value) {
+      /** @member {string} */
+      this.name = name;
+      /** @member {*} Current value. */
+      this.value = value;
+      /** @member {Scene} Scene the readout belongs to. */
+      this.scene = _targetScene();
+      /** @member {number} Readout's top-left corner (px). */
+      this.x = 0;
+      /** @member {number} */
+      this.y = 0;
+      /** @member {number} Draw-order layer, shared with labels. */
+      this.layer = 0;
+      /** @member {boolean} Readout hidden (see {@link Variable#show}). */
+      this.hidden = true;
+      /** @member {boolean} Pinned to the screen (default) instead of the camera's world. */
+      this.fixed = true;
+      /** @member {'normal'|'large'} `'large'` shows the value alone. */
+      this.monitorStyle = 'normal';
+      /** @private Readout has a position yet. */
+      this._placed = false;
+    }
+
+    /** @param {*} v */
+    set(v) { this.value = v; }
+
+    /** @param {number} n Added to the (numeric) value */
+    changeBy(n) { this.value = (Number(this.value) || 0) + n; }
+
+    /**
+     * Show the readout, at (`x`, `y`) or below the other readouts.
+     * @param {number} [x]
+     * @param {number} [y]
+     * @returns {Variable} this
+     */
+    show(x, y) {
+      if (x !== undefined) { this.x = x; this.y = y; } else if (!this._placed) _placeMonitor(this);
+      this._placed = true;
+      this.hidden = false;
+      return this;
+    }
+
+    /** Hide the readout. @returns {Variable} this */
+    hide() { this.hidden = true; return this; }
+
+    /** @private Readout size. */
+    _size(g) {
+      g.textSize(12);
+      const v = g.textWidth(_monitorText(this.value)) + 12;
+      if (this.monitorStyle === 'large') return { w: Math.max(40, v), h: 24 };
+      return { w: g.textWidth(this.name) + Math.max(40, v) + 16, h: 24 };
+    }
+
+    /** @private */
+    _draw(g = sketchInstance) {
+      if (this.hidden) return;
+      g.push();
+      const { w, h } = this._size(g), text = _monitorText(this.value);
+      g.textAlign(g.CENTER, g.CENTER);
+      if (this.monitorStyle === 'large') {
+        g.noStroke();
+        g.fill(MONITOR.value);
+        g.rect(this.x, this.y, w, h, 4);
+        g.fill('#fff');
+        g.text(text, this.x + w / 2, this.y + h / 2);
+      } else {
+        g.stroke(MONITOR.border);
+        g.fill(MONITOR.bg);
+        g.rect(this.x, this.y, w, h, 4);
+        g.noStroke();
+        g.fill(MONITOR.label);
+        g.textAlign(g.LEFT, g.CENTER);
+        g.text(this.name, this.x + 6, this.y + h / 2);
+        const vw = Math.max(40, g.textWidth(text) + 12), vx = this.x + w - vw - 4;
+        g.fill(MONITOR.value);
+        g.rect(vx, this.y + 4, vw, h - 8, 4);
+        g.fill('#fff');
+        g.textAlign(g.CENTER, g.CENTER);
+        g.text(text, vx + vw / 2, this.y + h / 2);
+      }
+      g.pop();
+    }
+  }
+
+  /**
+   * Named list (Scratch's lists) with an optional scrolling-style readout.
+   * Indices start at 0, like JavaScript arrays.
+   * @class
+   * @extends Variable
+   */
+  class List extends Variable {
+    /**
+     * @param {string} name
+     * @param {Array} [items]
+     */
+    constructor(name, items = []) {
+      super(name, items);
+      /** @member {number} Readout width (px). */
+      this.w = 140;
+      /** @member {number} Readout height (px). */
+      this.h = 180;
+    }
+
+    /** @member {Array} The items (same array as `value`). */
+    get items() { return this.value; }
+    set items(a) { this.value = a; }
+
+    /** @member {number} */
+    get length() { return this.value.length; }
+
+    /** @param {*} item Appended */
+    add(item) { this.value.push(item); }
+    /** @param {number} i
+        @param {*} item */
+    insertAt(i, item) { this.value.splice(i, 0, item); }
+    /** @param {number} i */
+    deleteAt(i) { this.value.splice(i, 1); }
+    /** Remove every item. */
+    deleteAll() { this.value.length = 0; }
+    /** @param {number} i
+        @param {*} item */
+    replaceAt(i, item) { if (i >= 0 && i < this.value.length) this.value[i] = item; }
+    /** @param {number} i
+        @returns {*} */
+    get(i) { return this.value[i]; }
+    /** @param {*} item
+        @returns {boolean} */
+    includes(item) { return this.value.includes(item); }
+    /** @param {*} item
+        @returns {number} -1 if absent */
+    indexOf(item) { return this.value.indexOf(item); }
+
+    /** @private */
+    _size() { return { w: this.w, h: this.h }; }
+
+    /** @private Title, as many rows as fit, then the length. */
+    _draw(g = sketchInstance) {
+      if (this.hidden) return;
+      const { x, y, w, h } = this, row = 22, rows = Math.max(0, Math.floor((h - 44) / row));
+      g.push();
+      g.stroke(MONITOR.border);
+      g.fill(MONITOR.bg);
+      g.rect(x, y, w, h, 4);
+      g.noStroke();
+      g.textSize(12);
+      g.fill(MONITOR.label);
+      g.textAlign(g.CENTER, g.CENTER);
+      g.text(this.name, x + w / 2, y + 11);
+      this.value.slice(0, rows).forEach((item, i) => {
+        const ry = y + 22 + i * row;
+        g.fill(MONITOR.label);
+        g.textAlign(g.RIGHT, g.CENTER);
+        g.text(i, x + 22, ry + row / 2);
+        g.fill(MONITOR.item);
+        g.rect(x + 28, ry + 2, w - 34, row - 4, 3);
+        g.fill('#fff');
+        g.textAlign(g.LEFT, g.CENTER);
+        g.text(_monitorText(item), x + 32, ry + row / 2);
+      });
+      g.fill(MONITOR.label);
+      g.textAlign(g.CENTER, g.CENTER);
+      g.text(`length ${this.value.length}`, x + w / 2, y + h - 11);
+      g.pop();
+    }
+  }
+
+  /** @private Readout colours (Scratch's). */
+  const MONITOR = { bg: '#e6f0ff', border: '#c4ccd9', label: '#575e75', value: '#ff8c1a', item: '#fc662c' };
+
+  /** @private Value as readout text (numbers rounded to 6 places). */
+  function _monitorText(v) {
+    if (typeof v === 'number') return String(Math.round(v * 1e6) / 1e6);
+    return typeof v === 'object' && v !== null ? JSON.stringify(v) : String(v);
+  }
+
+  /** @private Put a readout below the scene's other visible readouts. */
+  function _placeMonitor(m) {
+    const g = sketchInstance;
+    const bottom = m.scene.monitors.filter(o => o !== m && !o.hidden)
+      .reduce((b, o) => Math.max(b, o.y + (g ? o._size(g).h : 24)), 0);
+    m.x = 5;
+    m.y = bottom + 5;
+  }
+
+  /** @private Register a variable or list (an existing name is reused). */
+  function _variable(name, make) {
+    let v = variables.get(name);
+    if (v) return v;
+    v = make();
+    variables.set(name, v);
+    v.scene.monitors.push(v);
+    return v;
+  }
+
+  /**
+   * Create (or fetch, if the name exists) a saved game variable.
+   * ```js
+   * const score = createVariable('score', 0).show();
+   * whenIReceive('coin', () => score.changeBy(10));
+   * ```
+   * @param {string} name
+   * @param {*} [initial=0]
+   * @returns {Variable}
+   */
+  function createVariable(name, initial = 0) {
+    return _variable(name, () => new Variable(name, initial));
+  }
+
+  /**
+   * Create (or fetch, if the name exists) a saved list.
+   * @param {string} name
+   * @param {Array} [items]
+   * @returns {List}
+   */
+  function createList(name, items = []) {
+    return _variable(name, () => new List(name, items.slice()));
+  }
+
+  /**
+   * Save format version. Bump it when the format changes and add a step to
+   * {@link SAVE_MIGRATIONS} so older saves keep loading.
+   * @private
+   */
+  const SAVE_VERSION = 1;
+  /** @private Upgrades: `SAVE_MIGRATIONS[n](data)` turns version n into n + 1. */
+  const SAVE_MIGRATIONS = {};
+  /** @private localStorage key prefix for this stage's save slots. */
+  const SAVE_KEY = 'p5sprite.save.' + (stageId ? stageId + '.' : '');
+
+  /** @private Snapshot of the game: variables, lists and every set-up scene. */
+  function _saveData() {
+    const vars = {}, lists = {}, state = {};
+    variables.forEach((v, name) => { (v instanceof List ? lists : vars)[name] = _deepCopy(v.value); });
+    scenes.forEach((sc, name) => {
+      if (!sc._ready) return;
+      state[name] = {
+        // clones come and go, so only the original sprites are kept (as Scratch does)
+        sprites: sc.sprites.filter(s => !s.isClone).map(s => ({
+          name: s.name, x: s.x, y: s.y, direction: s.direction, costumeId: s.costumeId,
+          scale: s.scale, hidden: s.hidden, layer: s.layer
+        })),
+        textBoxes: sc.textBoxes.map(t => ({ text: t.text, x: t.x, y: t.y, hidden: t.hidden })),
+        inputBoxes: sc.inputBoxes.map(i => ({ value: i.value }))
+      };
+    });
+    return { format: 'p5sprite-save', version: SAVE_VERSION, savedAt: new Date().toISOString(),
+      scene: scene.name, variables: vars, lists, scenes: state };
+  }
+
+  /** @private Restore a snapshot from {@link _saveData} (after upgrading it). */
+  function _applySave(data) {
+    if (!data || data.format !== 'p5sprite-save') { console.warn('[p5sprite] not a p5sprite save'); return false; }
+    for (let v = data.version || 1; v < SAVE_VERSION; v++) data = SAVE_MIGRATIONS[v](data);
+    if (data.version > SAVE_VERSION) console.warn(`[p5sprite] save is from a newer version (${data.version}); loading what fits`);
+    Object.entries(data.variables || {}).forEach(([k, v]) => { createVariable(k).value = _deepCopy(v); });
+    Object.entries(data.lists || {}).forEach(([k, v]) => { createList(k).value = _deepCopy(v); });
+    if (data.scene && data.scene !== scene.name && scenes.has(data.scene)) goToScene(data.scene);
+    Object.entries(data.scenes || {}).forEach(([name, st]) => {
+      const sc = scenes.get(name);
+      if (!sc || !sc._ready) return;
+      sc.sprites.filter(s => s.isClone).forEach(s => s.remove());
+      // match sprites by name, in order, so games that gained sprites still load
+      const seen = new Map();
+      (st.sprites || []).forEach(d => {
+        const n = seen.get(d.name) || 0;
+        seen.set(d.name, n + 1);
+        const s = sc.sprites.filter(o => o.name === d.name)[n];
+        if (!s) return;
+        ['x', 'y', 'direction', 'costumeId', 'scale', 'hidden', 'layer'].forEach(k => { if (d[k] !== undefined) s[k] = d[k]; });
+        s._penAt = null;
+      });
+      (st.textBoxes || []).forEach((d, i) => { const t = sc.textBoxes[i]; if (t) Object.assign(t, d); });
+      (st.inputBoxes || []).forEach((d, i) => { const b = sc.inputBoxes[i]; if (b) b.value = d.value; });
+    });
+    return true;
+  }
+
+  /**
+   * Save variables, lists and the sprites, labels and input boxes of every
+   * scene shown so far. Clones are not saved.
+   * ```js
+   * saveGame('slot1');                     // into the browser's storage
+   * saveGame('slot1', { download: true }); // as slot1.json
+   * ```
+   * @param {string} [slot='default']
+   * @param {object} [opts]
+   * @param {boolean} [opts.download=false] Download a JSON file instead of storing it
+   * @returns {object} The saved data
+   */
+  function saveGame(slot = 'default', opts = {}) {
+    const data = _saveData(), json = JSON.stringify(data);
+    if (opts.download) {
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      a.download = `${slot}.json`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    } else {
+      try { localStorage.setItem(SAVE_KEY + slot, json); } catch (e) { console.warn(`[p5sprite] could not save "${slot}": ${e.message}`); }
+    }
+    return data;
+  }
+
+  /**
+   * Load a game saved by {@link saveGame}, switching to the scene it was
+   * saved in. Saves from older versions are upgraded first.
+   * ```js
+   * if (hasSave('slot1')) loadGame('slot1');
+   * fileInput.onchange = e => loadGame(e.target.files[0]);   // a downloaded save
+   * ```
+   * @param {string|object|Blob} [source='default'] Slot name, save data or a JSON file
+   * @returns {boolean|Promise<boolean>} Whether it loaded (a Promise for files)
+   */
+  function loadGame(source = 'default') {
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      return source.text().then(t => _applySave(JSON.parse(t))).catch(e => {
+        console.warn(`[p5sprite] could not load save file: ${e.message}`);
+        return false;
+      });
+    }
+    if (typeof source === 'object') return _applySave(_deepCopy(source));
+    let data = null;
+    try { data = JSON.parse(localStorage.getItem(SAVE_KEY + source)); } catch (e) { /* storage blocked or corrupt */ }
+    if (data == null) { console.warn(`[p5sprite] no save in slot "${source}"`); return false; }
+    return _applySave(data);
+  }
+
+  /**
+   * Is there a save in the slot?
+   * @param {string} [slot='default']
+   * @returns {boolean}
+   */
+  function hasSave(slot = 'default') {
+    try { return localStorage.getItem(SAVE_KEY + slot) != null; } catch (e) { return false; }
+  }
+
+  /* ──────────────────────────────────────────────
+     pen – immediate drawing helper
+     ────────────────────────────────────────────── */
+  /**
+   * Drawing helper (world coordinates). Shapes go to the current frame by
+   * default; set `pen.target = 'layer'` to draw on the persistent pen layer
+   * instead (survives across frames until {@link clearPen}).
+   * @namespace pen
+   */
+  const pen = {
+    /** Stroke colour. */ color: '#000',
+    /** Fill colour.   */ fillColor: '#000',
+    /** Stroke width (px). */ size: 1,
+    /** @type {'frame'|'layer'} Where shapes are drawn. */ target: 'frame',
+
+    /**
+     * Draw a straight line.
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     */
+    drawLine(x1, y1, x2, y2) {
+      const g = this._begin(true, false);
+      g.line(x1, y1, x2, y2);
+      g.pop();
+    },
+
+    /**
+     * Draw a filled rectangle.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w
+     * @param {number} h
+     */
+    drawRect(x, y, w, h) {
+      const g = this._begin(false, true);
+      g.rect(x, y, w, h);
+      g.pop();
+    },
+
+    /**
+     * Draw a filled circle.
+     * @param {number} x Centre x
+     * @param {number} y Centre y
+     * @param {number} d Diameter
+     */
+    drawCircle(x, y, d) {
+      const g = this._begin(false, true);
+      g.circle(x, y, d);
+      g.pop();
+    },
+
+    /**
+     * Draw a filled polygon.
+     * @param {Array<number[]|{x: number, y: number}>} points Vertices, in order
+     */
+    drawPolygon(points) {
+      const g = this._begin(false, true);
+      g.beginShape();
+      points.forEach(p => (Array.isArray(p) ? g.vertex(p[0], p[1]) : g.vertex(p.x, p.y)));
+      g.endShape(sketchInstance.CLOSE);
+      g.pop();
+    },
+
+    /**
+     * Draw text (top-left anchored) in the fill colour.
+     * @param {string} txt
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [size=24] Font size (px)
+     */
+    drawText(txt, x, y, size = 24) {
+      const g = this._begin(false, true);
+      g.textSize(size);
+      g.textAlign(sketchInstance.LEFT, sketchInstance.TOP);
+      g.text(txt, x, y);
+      g.pop();
+    },
+
+    /** @private Push style onto the current target and return it. */
+    _begin(stroked, filled) {
+      const g = this.target === 'layer' && penLayer ? penLayer : penRecorder;
+      g.push();
+      if (stroked) { g.stroke(this.color); g.strokeWeight(this.size); } else g.noStroke();
+      if (filled) g.fill(this.fillColor); else g.noFill();
+      return g;
+    }
+  };
+
+  /**
+   * Stands in for the canvas on the 'frame' target: updates may run zero or
+   * several times per render, so shapes are recorded and redrawn by draw().
+   * @private
+   */
+  const penRecorder = new Proxy({}, {
+    get: (_, method) => (...args) => { (clock.paused ? pauseOps : penOps).push([method, args]); }
+  });
+
+  /** @private Replay this step's 'frame' pen shapes in world space. */
+  function _drawPenOps(g) {
+    _inView(g, false, () => {
+      penOps.forEach(([m, a]) => g[m](...a));
+      pauseOps.forEach(([m, a]) => g[m](...a));
+    });
+  }
+
+  /** Erase everything on the persistent pen layer. */
+  function clearPen() { if (penLayer) penLayer.clear(); }
+
+  /* ──────────────────────────────────────────────
+     camera – scrolling world view
+     ────────────────────────────────────────────── */
+  /**
+   * View onto the world. (`x`, `y`) is the world point shown at the centre
+   * of the stage; by default world and stage coordinates coincide. Sprites
+   * and labels with `fixed = true` ignore the camera (HUD). The pen layer
+   * covers the world rect (0, 0)–(stage width, stage height).
+   * Reset on every {@link goToScene}.
+   * @namespace camera
+   */
+  const camera = {
+    /** World x at the stage centre. */ x: stageW / 2,
+    /** World y at the stage centre. */ y: stageH / 2,
+    /** Zoom factor (2 = twice as big). */ zoom: 1,
+    /** Rotation (degrees, clockwise). */ rotation: 0,
+    /** @type {?{x: number, y: number, w: number, h: number}} World rect the view stays inside. */
+    bounds: null,
+
+    /** @private */ _target: null,
+    /** @private */ _lerp: 1,
+    /** @private */ _shake: null,
+    /** @private Current shake offset. */ _ox: 0,
+    /** @private */ _oy: 0,
+
+    /**
+     * Centre the view on a world point.
+     * @param {number} x
+     * @param {number} y
+     */
+    moveTo(x, y) { this.x = x; this.y = y; },
+
+    /**
+     * Track a sprite every frame.
+     * @param {?Sprite} sprite Sprite to follow (null stops following)
+     * @param {number} [lerp=0.1] Fraction of the distance closed per frame (1 = locked)
+     */
+    follow(sprite, lerp = 0.1) { this._target = sprite; this._lerp = lerp; },
+
+    /**
+     * Keep the view inside a world rect (also the edge for world sprites'
+     * {@link Sprite#touchingEdge}).
+     * @param {?number} x Left (pass null to clear)
+     * @param {number} [y] Top
+     * @param {number} [w] Width
+     * @param {number} [h] Height
+     */
+    setBounds(x, y, w, h) { this.bounds = x == null ? null : { x, y, w, h }; },
+
+    /**
+     * Shake the view, fading out over `seconds`.
+     * @param {number} [intensity=8] Max offset (world px)
+     * @param {number} [seconds=0.3]
+     */
+    shake(intensity = 8, seconds = 0.3) { this._shake = { intensity, t0: _now(), seconds }; },
+
+    /** Back to the default view: centred, no zoom, rotation, bounds, follow or shake. */
+    reset() {
+      this.x = stageW / 2;
+      this.y = stageH / 2;
+      this.zoom = 1; this.rotation = 0; this.bounds = null;
+      this._target = null; this._shake = null; this._ox = this._oy = 0;
+    }
+  };
+
+  /**
+   * Convert stage (screen) coordinates to world coordinates.
+   * @param {number} x
+   * @param {number} y
+   * @returns {{x: number, y: number}}
+   */
+  function screenToWorld(x, y) {
+    const sk = sketchInstance, r = sk.radians(camera.rotation);
+    const dx = (x - sk.width / 2) / camera.zoom, dy = (y - sk.height / 2) / camera.zoom;
+    return {
+      x: dx * Math.cos(r) - dy * Math.sin(r) + camera.x + camera._ox,
+      y: dx * Math.sin(r) + dy * Math.cos(r) + camera.y + camera._oy
+    };
+  }
+
+  /**
+   * Convert world coordinates to stage (screen) coordinates.
+   * @param {number} x
+   * @param {number} y
+   * @returns {{x: number, y: number}}
+   */
+  function worldToScreen(x, y) {
+    const sk = sketchInstance, r = -sk.radians(camera.rotation);
+    const dx = x - camera.x - camera._ox, dy = y - camera.y - camera._oy;
+    return {
+      x: (dx * Math.cos(r) - dy * Math.sin(r)) * camera.zoom + sk.width / 2,
+      y: (dx * Math.sin(r) + dy * Math.cos(r)) * camera.zoom + sk.height / 2
+    };
+  }
+
+  /** @private Apply the world→screen transform to a render target. */
+  function _applyCamera(g) {
+    const sk = sketchInstance;
+    g.translate(sk.width / 2, sk.height / 2);
+    g.rotate(-sk.radians(camera.rotation));
+    g.scale(camera.zoom);
+    g.translate(-(camera.x + camera._ox), -(camera.y + camera._oy));
+  }
+
+  /** @private Run `fn` in world space unless `fixed`. */
+  function _inView(g, fixed, fn) {
+    if (fixed) { fn(); return; }
+    g.push();
+    _applyCamera(g);
+    fn();
+    g.pop();
+  }
+
+  /* ──────────────────────────────────────────────
+     Stage size & scaling
+     ────────────────────────────────────────────── */
+
+  /**
+   * Set the logical stage size (the coordinate space games draw in).
+   * Call before or after setup; the pen layer keeps its drawing and the
+   * camera is reset.
+   * @param {number} w Width (px)
+   * @param {number} h Height (px)
+   */
+  function setStageSize(w, h) {
+    stageW = w; stageH = h;
+    if (opts.globals) { canvaX = w; canvaY = h; }
+    const sk = sketchInstance;
+    if (sk && (sk.canvas || headless)) {
+      sk.resizeCanvas(w, h);
+      const old = penLayer;
+      penLayer = sk.createGraphics(w, h);
+      if (old) { penLayer.image(old, 0, 0); old.remove(); }
+      _layoutCanvas();
+    }
+    camera.reset();
+  }
+
+  /**
+   * Choose how the stage is scaled to the browser window (or to the
+   * `parent` element given to {@link createStage}). The logical
+   * coordinate space never changes; mouse, clicks and input boxes follow.
+   * - `'fixed'` – natural size, centred
+   * - `'fit'`   – largest size that fits, letterboxed (default)
+   * - `'fill'`  – stretched to cover the window
+   * - `'pixel'` – largest whole-number scale, crisp pixels (pixel art)
+   * @param {'fixed'|'fit'|'fill'|'pixel'} mode
+   */
+  function setScaleMode(mode) {
+    scaleMode = mode;
+    _layoutCanvas();
+  }
+
+  /** Enter or leave browser fullscreen (call from a click or key hat). */
+  function toggleFullscreen() {
+    if (sketchInstance) sketchInstance.fullscreen(!sketchInstance.fullscreen());
+  }
+
+  /** @private Size and centre the canvas element for the current scale mode. */
+  function _layoutCanvas() {
+    const sk = sketchInstance;
+    if (!sk || !sk.canvas) return;
+    const w = sk.width, h = sk.height;
+    // a parent without its own height only limits the width
+    const ww = stageParent ? stageParent.clientWidth || w : window.innerWidth;
+    const wh = stageParent ? stageParent.clientHeight || Infinity : window.innerHeight;
+    const fit = Math.min(ww / w, wh / h);
+    let sx = 1, sy = 1;
+    if (scaleMode === 'fit') sx = sy = fit;
+    else if (scaleMode === 'pixel') sx = sy = fit >= 1 ? Math.floor(fit) : fit;
+    else if (scaleMode === 'fill') { sx = ww / w; sy = isFinite(wh) ? wh / h : sx; }
+    const st = sk.canvas.style;
+    st.position = stageParent ? 'relative' : 'absolute';
+    st.width = `${w * sx}px`;
+    st.height = `${h * sy}px`;
+    st.left = `${Math.max(0, (ww - w * sx) / 2)}px`;
+    st.top = `${isFinite(wh) ? Math.max(0, (wh - h * sy) / 2) : 0}px`;
+    st.imageRendering = scaleMode === 'pixel' ? 'pixelated' : '';
+    if (scaleMode === 'pixel') sk.noSmooth(); else sk.smooth();
+  }
+
+  /**
+   * Map viewport (client) coordinates to stage coordinates.
+   * @private
+   */
+  function _clientToStage(cx, cy) {
+    const sk = sketchInstance;
+    if (!sk.canvas) return { x: cx, y: cy };   // headless: client space is stage space
+    const rect = sk.canvas.getBoundingClientRect();
+    return {
+      x: (cx - rect.left) * sk.width / (rect.width || sk.width),
+      y: (cy - rect.top) * sk.height / (rect.height || sk.height)
+    };
+  }
+
+  /** @private Stage position of a mouse / touch event (falls back to p5's mouse). */
+  function _eventToStage(e) {
+    const t = e && e.changedTouches && e.changedTouches[0];
+    const src = t || e;
+    if (src && src.clientX != null) return _clientToStage(src.clientX, src.clientY);
+    return { x: sketchInstance.mouseX, y: sketchInstance.mouseY };
+  }
+
+  /** @private Follow, clamp and shake (called once per frame). */
+  function _updateCamera() {
+    const sk = sketchInstance, t = camera._target;
+    if (t && t.scene === scene) {
+      camera.x += (t.x - camera.x) * camera._lerp;
+      camera.y += (t.y - camera.y) * camera._lerp;
+    }
+    const b = camera.bounds;
+    if (b) {
+      const hw = sk.width / 2 / camera.zoom, hh = sk.height / 2 / camera.zoom;
+      camera.x = b.w <= 2 * hw ? b.x + b.w / 2 : Math.min(Math.max(camera.x, b.x + hw), b.x + b.w - hw);
+      camera.y = b.h <= 2 * hh ? b.y + b.h / 2 : Math.min(Math.max(camera.y, b.y + hh), b.y + b.h - hh);
+    }
+    const sh = camera._shake;
+    camera._ox = camera._oy = 0;
+    if (sh) {
+      const k = 1 - (_now() - sh.t0) / sh.seconds;
+      if (k <= 0) camera._shake = null;
+      else {
+        camera._ox = (Math.random() * 2 - 1) * sh.intensity * k;
+        camera._oy = (Math.random() * 2 - 1) * sh.intensity * k;
+      }
+    }
+  }
+
+  /* ──────────────────────────────────────────────
+     Assets (loading, cache, errors)
+     ────────────────────────────────────────────── */
+  /**
+   * One cached file. `value` is what p5 returned (images fill in once
+   * loaded); `ok` is null while loading.
+   * @typedef {object} Asset
+   * @property {'image'|'sound'|'font'|'json'} kind
+   * @property {string} path
+   * @property {*} value
+   * @property {?boolean} ok
+   * @property {Set<string|Sprite>} users Who asked for it (for error messages)
+   * @property {Promise<*>} promise Resolves to `value`, or null on failure
+   */
+
+  /** How each kind of asset is fetched: `(path, ok, fail) → value`. */
+  const LOADERS = {
+    image: (p, ok, fail) => sketchInstance.loadImage(p, ok, fail),
+    font:  (p, ok, fail) => sketchInstance.loadFont(p, ok, fail),
+    json:  (p, ok, fail) => sketchInstance.loadJSON(p, ok, fail),
+    sound: (p, ok, fail) => { const snd = new Sound(p); snd._load(ok, fail); return snd; }
+  };
+
+  /**
+   * Fetch (once) and cache a file. Failures are reported on the console and
+   * the canvas, naming every sprite or call that asked for the file.
+   * @private
+   * @param {'image'|'sound'|'font'|'json'} kind
+   * @param {string} path
+   * @param {string|Sprite} [who] Requester, e.g. a sprite or `'setBackground'`
+   * @returns {Asset}
+   */
+  function _asset(kind, path, who) {
+    const key = `${kind}:${path}`;
+    let a = assets.get(key);
+    if (!a) {
+      a = { kind, path, value: null, ok: null, users: new Set(), promise: null };
+      assets.set(key, a);
+      const gated = !started || gating;
+      if (gated) loadGate.total++;
+      let settled = false;
+      a.promise = new Promise(resolve => {
+        const settle = (ok, v) => {
+          if (settled) return;
+          settled = true;
+          a.ok = ok;
+          if (kind === 'image' && a.value) loadingImages.delete(a.value);
+          if (ok && v !== undefined) a.value = v;
+          if (gated) loadGate.done++;
+          if (!ok) a.users.forEach(u => _assetError(a, u));
+          resolve(ok ? a.value : null);
+        };
+        const v = LOADERS[kind](path, x => settle(true, x), () => settle(false));
+        if (a.value == null) a.value = v ?? null;   // p5 images fill in once loaded
+        if (kind === 'image' && !settled && a.value) loadingImages.add(a.value);
+      });
+    }
+    if (who !== undefined && !a.users.has(who)) {
+      a.users.add(who);
+      if (a.ok === false) _assetError(a, who);
+    }
+    return a;
+  }
+
+  /** @private Promise for a cached file: its value, or null if it failed. */
+  function _loadAsset(kind, path, who) { return _asset(kind, path, who).promise; }
+
+  /** @private Report a missing file for one requester. */
+  function _assetError(a, who) {
+    const by = who instanceof Sprite ? `sprite "${who.name}"` : who;
+    const msg = `could not load ${a.kind} "${a.path}"${by ? ` (requested by ${by})` : ''}`;
+    console.error(`[p5sprite] ${msg}`);
+    assetErrors.push(msg);
+    if (a.kind === 'image' && a.value) brokenImages.add(a.value);
+  }
+
+  /**
+   * Load files up front. Until they (and every file requested before the
+   * first frame) have loaded, the stage shows a progress bar and no scripts
+   * run, so sprites never pop in. Each path is only fetched once, however
+   * often it is used later.
+   * ```js
+   * loadAssets({
+   *   images: ['hero.png', 'coin.png'],
+   *   sounds: { jump: 'sfx/jump.wav' },
+   *   fonts:  { pixel: 'fonts/pixel.ttf' },
+   *   json:   ['levels.json']
+   * }).then(a => { title.font = a.pixel; });
+   * ```
+   * @param {object} manifest Lists (or `{alias: path}` objects) of paths
+   * @param {string[]|Object<string, string>} [manifest.images]
+   * @param {string[]|Object<string, string>} [manifest.sounds]
+   * @param {string[]|Object<string, string>} [manifest.fonts]
+   * @param {string[]|Object<string, string>} [manifest.json]
+   * @returns {Promise<Object<string, *>>} Loaded assets by alias (or path);
+   *   failed files are null
+   */
+  function loadAssets(manifest = {}) {
+    const kinds = { images: 'image', sounds: 'sound', fonts: 'font', json: 'json' };
+    const out = {}, pending = [];
+    gating = true;
+    Object.entries(kinds).forEach(([group, kind]) => {
+      const list = manifest[group] || [];
+      const entries = Array.isArray(list) ? list.map(p => [p, p]) : Object.entries(list);
+      entries.forEach(([key, path]) => pending.push(_loadAsset(kind, path, 'loadAssets').then(v => { out[key] = v; })));
+    });
+    gating = false;
+    return Promise.all(pending).then(() => out);
+  }
+
+  /**
+   * A file loaded by {@link loadAssets} (or anything else), by path.
+   * @param {string} path
+   * @returns {*} The p5.Image / SoundFile / Font / JSON, or null if not loaded
+   */
+  function getAsset(path) {
+    for (const kind of Object.keys(LOADERS)) {
+      const a = assets.get(`${kind}:${path}`);
+      if (a) return a.ok ? a.value : null;
+    }
+    return null;
+  }
+
+  /** @private Progress bar shown while gated assets load. */
+  function _drawLoading(sk) {
+    const k = loadGate.total ? loadGate.done / loadGate.total : 1;
+    const w = Math.min(400, sk.width * 0.6), x = (sk.width - w) / 2, y = sk.height / 2;
+    sk.push();
+    sk.background(20);
+    sk.noStroke();
+    sk.fill(60);
+    sk.rect(x, y - 6, w, 12, 6);
+    sk.fill(240);
+    sk.rect(x, y - 6, w * k, 12, 6);
+    sk.textAlign(sk.CENTER, sk.BOTTOM);
+    sk.textSize(16);
+    sk.text(`Loading… ${loadGate.done} / ${loadGate.total}`, sk.width / 2, y - 16);
+    sk.pop();
+  }
+
+  /** @private Missing-file messages, drawn over everything. */
+  function _drawAssetErrors(sk) {
+    if (!assetErrors.length) return;
+    const lines = assetErrors.slice(-4);
+    if (assetErrors.length > 4) lines.unshift(`…and ${assetErrors.length - 4} more (see console)`);
+    sk.push();
+    sk.noStroke();
+    sk.fill(160, 0, 0, 220);
+    sk.rect(0, 0, sk.width, lines.length * 20 + 12);
+    sk.fill(255);
+    sk.textAlign(sk.LEFT, sk.TOP);
+    sk.textSize(14);
+    lines.forEach((l, i) => sk.text(`⚠ ${l}`, 10, 6 + i * 20));
+    sk.pop();
+  }
+
+  /* ──────────────────────────────────────────────
+     Sound (groups, voices, music)
+     ────────────────────────────────────────────── */
+  /** localStorage key remembering this stage's mute toggle. */
+  const MUTE_KEY = 'p5sprite.muted' + (stageId ? '.' + stageId : '');
+
+  /**
+   * Mixer for every {@link Sound}: master / music / sfx volumes, a mute
+   * toggle remembered across visits, and background music with crossfades.
+   * Audio is unlocked automatically on the first click, tap or key press.
+   * @namespace audio
+   */
+  const audio = {
+    /** @member {{master: number, music: number, sfx: number}} Group volumes (0–1); change with setVolume. */
+    volumes: { master: 1, music: 1, sfx: 1 },
+    /** @member {boolean} Everything silenced (change with mute / toggleMute). */
+    muted: false,
+    /** @member {number} Most sounds playing at once; the oldest effect is cut. */
+    maxVoices: 32,
+    /** @private @type {?Voice} */
+    _music: null,
+
+    /**
+     * @param {'master'|'music'|'sfx'} group
+     * @param {number} v 0–1
+     */
+    setVolume(group, v) { this.volumes[group] = Math.min(1, Math.max(0, v)); _applyVolumes(); },
+
+    /**
+     * Silence (or restore) all sound; remembered in localStorage.
+     * @param {boolean} [on=true]
+     */
+    mute(on = true) {
+      this.muted = on;
+      try { localStorage.setItem(MUTE_KEY, on ? '1' : '0'); } catch (e) { /* storage blocked */ }
+      _applyVolumes();
+    },
+
+    /** @returns {boolean} The new muted state. */
+    toggleMute() { this.mute(!this.muted); return this.muted; },
+
+    /**
+     * Start background music, crossfading from the current track. Playing
+     * the track that is already on does nothing.
+     * ```js
+     * audio.playMusic('music/level1.mp3', { fade: 2 });
+     * ```
+     * @param {string} path
+     * @param {object} [opts]
+     * @param {number} [opts.fade=1] Crossfade (seconds)
+     * @param {number} [opts.volume=1]
+     * @param {boolean} [opts.loop=true]
+     * @returns {Voice}
+     */
+    playMusic(path, { fade = 1, volume = 1, loop = true } = {}) {
+      const cur = this._music;
+      if (cur && !cur.ended && cur.sound.path === path) return cur;
+      if (cur) cur._fadeTo(0, fade, true);
+      const v = _asset('sound', path, 'playMusic').value.play({ group: 'music', volume, loop });
+      v._k = fade > 0 ? 0 : 1;
+      v._fadeTo(1, fade);
+      this._music = v;
+      return v;
+    },
+
+    /**
+     * Fade out the background music.
+     * @param {number} [fade=1] Seconds
+     */
+    stopMusic(fade = 1) { if (this._music) this._music._fadeTo(0, fade, true); this._music = null; },
+
+    /** Stop every playing sound. */
+    stopAll() { voices.slice().forEach(v => v.stop()); this._music = null; }
+  };
+
+  /** @type {Voice[]} Sounds currently playing (or waiting to load). */
+  const voices = [];
+  /** @type {Voice[]} HTMLAudio voices blocked until the first gesture. */
+  const lockedVoices = [];
+  /** @type {?{ctx: AudioContext, master: GainNode, groups: Object<string, GainNode>}} */
+  let audioGraph;
+  let audioUnlocked = false;
+
+  try { audio.muted = localStorage.getItem(MUTE_KEY) === '1'; } catch (e) { /* storage blocked */ }
+
+  /**
+   * A sound file, loaded once per path (see {@link createSound},
+   * {@link Sprite#playSound}). Uses p5.sound's loader when it is on the
+   * page, else Web Audio, else HTMLAudio.
+   * @class
+   */
+  class Sound {
+    /** @param {string} path */
+    constructor(path) {
+      /** @member {string} */
+      this.path = path;
+      /** @member {string} Name used by sprites (file name without extension). */
+      this.name = _baseName(path);
+      /** @member {number} Volume of this sound (0–1), on top of its group. */
+      this.volume = 1;
+      /** @member {number} Most copies playing at once; the oldest is cut. */
+      this.maxVoices = 4;
+      /** @private @type {?AudioBuffer} */
+      this._buffer = null;
+      /** @private @type {?HTMLAudioElement} */
+      this._html = null;
+      /** @member {?p5.SoundFile} The file as p5.sound loaded it (when p5.sound is present). */
+      this.file = null;
+      this._loaded = false;
+    }
+
+    /**
+     * Play once (or looped). Sounds played before loading finishes start
+     * when it does.
+     * @param {object} [opts]
+     * @param {number} [opts.volume=1]
+     * @param {boolean} [opts.loop=false]
+     * @param {'sfx'|'music'} [opts.group='sfx']
+     * @returns {Voice}
+     */
+    play({ volume = 1, loop = false, group = 'sfx' } = {}) {
+      const mine = voices.filter(v => v.sound === this);
+      if (mine.length >= this.maxVoices) mine[0].stop();
+      if (voices.length >= audio.maxVoices) (voices.find(v => v.group !== 'music') || voices[0]).stop();
+      const v = new Voice(this, { volume, loop, group });
+      voices.push(v);
+      if (this._loaded) v._start();
+      return v;
+    }
+
+    /** Play looped (p5.SoundFile compatible). @returns {Voice} */
+    loop() { return this.play({ loop: true }); }
+
+    /** Stop every copy of this sound. */
+    stop() { voices.filter(v => v.sound === this).forEach(v => v.stop()); }
+
+    /** @param {number} v 0–1 */
+    setVolume(v) { this.volume = v; voices.forEach(x => { if (x.sound === this) x._apply(); }); }
+
+    /** @returns {boolean} */
+    isPlaying() { return voices.some(v => v.sound === this && !v.ended); }
+
+    /** @returns {boolean} */
+    isLoaded() { return this._loaded; }
+
+    /** @private Fetch and decode; `ok(this)` / `fail()` report to the asset cache. */
+    _load(ok, fail) {
+      const done = () => {
+        this._loaded = true;
+        voices.forEach(v => { if (v.sound === this && !v._started && !v.ended) v._start(); });
+        ok(this);
+      };
+      const graph = _audioGraph();
+      if (headless) {
+        done();   // headless stages play silently
+      } else if (P5 && P5.SoundFile) {
+        sketchInstance.loadSound(this.path, sf => { this.file = sf; this._buffer = sf.buffer; done(); }, fail);
+      } else if (graph && typeof fetch === 'function') {
+        fetch(this.path)
+          .then(r => { if (!r.ok) throw new Error(r.status); return r.arrayBuffer(); })
+          .then(data => new Promise((res, rej) => graph.ctx.decodeAudioData(data, res, rej)))
+          .then(b => { this._buffer = b; done(); }, fail);
+      } else if (typeof Audio === 'function') {
+        const el = new Audio();
+        el.preload = 'auto';
+        el.addEventListener('canplaythrough', done, { once: true });
+        el.addEventListener('error', fail, { once: true });
+        el.src = this.path;
+        this._html = el;
+      } else {
+        done();   // no audio at all: plays silently
+      }
+    }
+  }
+
+  /**
+   * One playing copy of a {@link Sound}.
+   * @class
+   */
+  class Voice {
+    /** @private */
+    constructor(sound, { volume, loop, group }) {
+      /** @member {Sound} */
+      this.sound = sound;
+      /** @member {'sfx'|'music'} */
+      this.group = group;
+      /** @member {number} */
+      this.volume = volume;
+      /** @member {boolean} */
+      this.loop = loop;
+      /** @member {boolean} True once finished or stopped. */
+      this.ended = false;
+      /** @member {?Sprite} Sprite that played it. */
+      this.owner = null;
+      this._k = 1;          // fade multiplier
+      this._fade = null;
+      this._started = false;
+      this._src = this._gain = this._el = null;
+    }
+
+    /** Stop now. */
+    stop() {
+      if (this.ended) return;
+      try {
+        if (this._src) this._src.stop();
+        if (this._el) this._el.pause();
+      } catch (e) { /* already stopped */ }
+      this._end();
+    }
+
+    /**
+     * Change this copy's volume.
+     * @param {number} v 0–1
+     */
+    setVolume(v) { this.volume = v; this._apply(); }
+
+    /** @private */
+    _start() {
+      this._started = true;
+      const s = this.sound, graph = _audioGraph();
+      // effects fired before the page was touched would all play at once on unlock
+      if (!audioUnlocked && !this.loop && this.group !== 'music' && graph && graph.ctx.state === 'suspended') {
+        this._end();
+        return;
+      }
+      if (s._buffer && graph) {
+        this._src = graph.ctx.createBufferSource();
+        this._src.buffer = s._buffer;
+        this._src.loop = this.loop;
+        this._gain = graph.ctx.createGain();
+        this._src.connect(this._gain);
+        this._gain.connect(graph.groups[this.group] || graph.groups.sfx);
+        this._src.onended = () => this._end();
+        this._apply();
+        this._src.start();
+      } else if (s._html) {
+        this._el = s._html.cloneNode();
+        this._el.loop = this.loop;
+        this._el.addEventListener('ended', () => this._end());
+        this._apply();
+        const p = this._el.play();
+        if (p && p.catch) {
+          p.catch(() => { if (!audioUnlocked && (this.loop || this.group === 'music')) lockedVoices.push(this); else this._end(); });
+        }
+      } else this._end();
+    }
+
+    /** @private Ramp the fade multiplier to `to` over `seconds` (then maybe stop). */
+    _fadeTo(to, seconds, stopAfter = false) {
+      if (seconds <= 0) { this._k = to; this._apply(); if (stopAfter) this.stop(); return; }
+      this._fade = { from: this._k, to, t: 0, seconds, stopAfter };
+    }
+
+    /** @private Push the combined volume to the audio node / element. */
+    _apply() {
+      const v = this.volume * this.sound.volume * this._k;
+      if (this._gain) this._gain.gain.value = v;
+      if (this._el) {
+        const m = audio.muted ? 0 : audio.volumes.master;
+        this._el.volume = Math.min(1, Math.max(0, v * (audio.volumes[this.group] ?? 1) * m));
+      }
+    }
+
+    /** @private */
+    _end() {
+      this.ended = true;
+      const i = voices.indexOf(this);
+      if (i >= 0) voices.splice(i, 1);
+    }
+  }
+
+  /**
+   * Web Audio context and gain nodes (master ← music / sfx), made on first
+   * use; null where Web Audio is missing.
+   * @private
+   */
+  function _audioGraph() {
+    if (audioGraph !== undefined) return audioGraph;
+    audioGraph = null;
+    let ctx = null;
+    if (headless || typeof window === 'undefined') return null;
+    if (P5 && P5.SoundFile && P5.prototype.getAudioContext) ctx = P5.prototype.getAudioContext();
+    else {
+      const AC = window.AudioContext || window.webkitAudioContext;
+      if (AC) ctx = new AC();
+    }
+    if (!ctx) return null;
+    const master = ctx.createGain();
+    master.connect(ctx.destination);
+    const groups = {};
+    ['music', 'sfx'].forEach(g => { groups[g] = ctx.createGain(); groups[g].connect(master); });
+    audioGraph = { ctx, master, groups };
+    _applyVolumes();
+    return audioGraph;
+  }
+
+  /** @private Push group volumes and mute to the mixer. */
+  function _applyVolumes() {
+    if (audioGraph) {
+      audioGraph.master.gain.value = audio.muted ? 0 : audio.volumes.master;
+      Object.keys(audioGraph.groups).forEach(g => { audioGraph.groups[g].gain.value = audio.volumes[g]; });
+    }
+    voices.forEach(v => v._apply());
+  }
+
+  /** @private Advance fades (real time, so music keeps fading while paused). */
+  function _updateAudio(dt) {
+    voices.slice().forEach(v => {
+      const f = v._fade;
+      if (!f) return;
+      f.t += dt;
+      const k = Math.min(1, f.t / f.seconds);
+      v._k = f.from + (f.to - f.from) * k;
+      v._apply();
+      if (k >= 1) { v._fade = null; if (f.stopAfter) v.stop(); }
+    });
+  }
+
+  /** @private Browsers keep audio silent until a user gesture. */
+  function _unlockAudio() {
+    if (audioUnlocked) return;
+    audioUnlocked = true;
+    const graph = _audioGraph();
+    if (graph && graph.ctx.state === 'suspended') graph.ctx.resume();
+    lockedVoices.splice(0).forEach(v => { if (!v.ended) v._start(); });
+    ['pointerdown', 'keydown', 'touchstart'].forEach(t => window.removeEventListener(t, _unlockAudio, true));
+  }
+  if (!headless) ['pointerdown', 'keydown', 'touchstart'].forEach(t => window.addEventListener(t, _unlockAudio, true));
+
+  /**
+   * Stop every sound (Scratch's “stop all sounds”).
+   */
+  function stopAllSounds() { audio.stopAll(); }
+
+  /* ──────────────────────────────────────────────
+     Public utility functions
+     ────────────────────────────────────────────── */
+
+  /** @private Style of {@link drawText} before its overrides. */
+  const TEXT_DEFAULTS = {
+    font: 'sans-serif', maxWidth: null, lineHeight: 1.2, background: null, padding: 8,
+    radius: 0, outline: null, outlineWidth: 2, shadow: null, shadowOffset: 2
+  };
+
+  /**
+   * Draw transient HUD text (does **not** persist across frames).
+   * ```js
+   * drawText('Game over', 640, 360, '#fff', 48, { align: 'center', valign: 'middle', outline: '#000' });
+   * ```
+   * @param {string} txt
+   * @param {number} x
+   * @param {number} y
+   * @param {string|p5.Color} [color='#fff']
+   * @param {number} [size=24]
+   * @param {object} [style] Any {@link TextBox#setStyle} field; `align` /
+   *   `valign` default to `'left'` / `'top'`
+   */
+  function drawText(txt, x, y, color = '#fff', size = 24, style = {}) {
+    const st = { ...TEXT_DEFAULTS, align: 'left', valign: 'top', color, size, ...style };
+    _drawTextBlock(sketchInstance, String(txt), x, y, st);
+  }
+
+  /**
+   * Fill a render target with the current backdrop image or colour.
+   * @private
+   * @param {p5|p5.Graphics} g
+   */
+  function _paintBackdrop(g) {
+    if (scene.backdropImage) {
+      g.push();
+      g.imageMode(sketchInstance.CENTER);
+      g.image(scene.backdropImage, g.width / 2, g.height / 2, g.width, g.height);
+      g.pop();
+    } else if (scene.bgColor != null) g.background(scene.bgColor); else g.background(30);
+  }
+
+  /**
    * Set solid colour or backdrop image.
    * @param {string|number|p5.Color} val Colour value **or** image URL.
    */
-  function setBackground(val) {
-    if (typeof val === 'string' && /\.(png|jpe?g|gif|bmp|webp)$/i.test(val)) {
-      backdropImage = sketchInstance.loadImage(val);
-      bgColor = null;
-    } else {
-      bgColor = val;
-      backdropImage = null;
-    }
+  function setBackground(val) {
+    const sc = _targetScene();
+    if (typeof val === 'string' && /\.(png|jpe?g|gif|bmp|webp)$/i.test(val)) {
+      sc.backdropImage = _asset('image', val, 'setBackground').value;
+      sc.bgColor = null;
+    } else {
+      sc.bgColor = val;
+      sc.backdropImage = null;
+    }
+  }
+
+  /**
+   * Create a new {@link Sprite}.
+   *
+   * Call styles:
+   * ```js
+   * createSprite(x, y, 'a.png', 'b.png'); // explicit position
+   * createSprite('a.png', 'b.png');       // defaults to (0,0)
+   * ```
+   * @returns {Sprite}
+   */
+  function createSprite(/* [x,y,] paths… */) {
+    let x = 0, y = 0, imgPaths = [...arguments];
+    if (typeof arguments[0] === 'number' && typeof arguments[1] === 'number') {
+      x = arguments[0]; y = arguments[1];
+      imgPaths = imgPaths.slice(2);
+    }
+    const s = new Sprite(imgPaths);
+    s.moveTo(x, y);
+    s.scene.sprites.push(s);
+    return s;
+  }
+
+  /**
+   * Cap the number of live clones; {@link Sprite#clone} returns null beyond it.
+   * @param {number} n
+   */
+  function setCloneLimit(n) { cloneLimit = n; cloneLimitWarned = false; }
+
+  /**
+   * Copy arrays, Maps and plain objects recursively; keep everything else
+   * (images, sprites, functions) by reference.
+   * @private
+   */
+  function _deepCopy(v) {
+    if (Array.isArray(v)) return v.map(_deepCopy);
+    if (v instanceof Map) return new Map([...v].map(([k, x]) => [k, _deepCopy(x)]));
+    if (v && typeof v === 'object') {
+      const proto = Object.getPrototypeOf(v);
+      if (proto !== Object.prototype && proto !== null) return v;
+      const o = {};
+      for (const k of Object.keys(v)) o[k] = _deepCopy(v[k]);
+      return o;
+    }
+    return v;
+  }
+
+  /**
+   * Create a persistent on-canvas label.
+   * @returns {TextBox}
+   */
+  function createTextBox(x, y, txt, color = '#fff', size = 24, font = 'sans-serif') {
+    const tb = new TextBox(x, y, txt, color, size, font);
+    tb.scene.textBoxes.push(tb);
+    return tb;
+  }
+
+  /**
+   * Create a Unicode-capable input box tied to the canvas.
+   * @returns {InputBox}
+   */
+  function createInputBox(x, y, w = 200, h = 28, placeholder = '', layer = 0) {
+    const ib = new InputBox(x, y, w, h, placeholder, layer);
+    ib.scene.inputBoxes.push(ib);
+    return ib;
+  }
+
+  /**
+   * Load a sound file (p5.sound optional). Loops automatically if requested.
+   * Returns a {@link Sound}, not a `p5.SoundFile`: `play`, `loop`, `stop`,
+   * `setVolume`, `isPlaying` and `isLoaded` work as before; for other
+   * p5.sound calls (`rate`, `pan`, `jump`, `onended`…) use `sound.file`.
+   * @param {string} path
+   * @param {boolean} [loop=false]
+   * @returns {Sound}
+   */
+  function createSound(path, loop = false) {
+    const snd = _asset('sound', path, 'createSound').value;
+    if (loop) snd.loop();
+    return snd;
+  }
+
+  /* ──────────────────────────────────────────────
+     Script scheduler
+     ────────────────────────────────────────────── */
+  /**
+   * A running script started by {@link startScript}, {@link forever} or an
+   * event hat. Generator scripts resume once per frame at each `yield`
+   * (yield a Promise, e.g. `yield wait(1)`, to pause until it settles).
+   * Async scripts run freely between `await`s on {@link wait},
+   * {@link waitUntil} or a glide.
+   * @class
+   */
+  class Script {
+    /**
+     * @param {Function} fn Generator, async or plain function
+     * @param {*} self Value of `this` inside `fn`
+     * @param {Array} args Arguments passed to `fn`
+     */
+    constructor(fn, self, args) {
+      /** @member {boolean} False once finished or stopped. */
+      this.running = true;
+      /** @member {?Sprite} Sprite that owns this script (sprite hats). */
+      this.sprite = self instanceof Sprite ? self : null;
+      /** @member {Scene} Scene the script runs in (paused while it is hidden). */
+      this.scene = this.sprite ? this.sprite.scene : _targetScene();
+      /** @member {Promise<void>} Resolves when the script ends or is stopped. */
+      this.done = new Promise(r => { this._finish = r; });
+      this._fn = fn; this._self = self; this._args = args;
+      this._iter = null;
+      this._started = false;
+      this._blocked = false;
+      this._frozen = false;
+    }
+
+    /** Stop this script; pending waits inside it never resume. */
+    stop() {
+      if (!this.running) return;
+      this.running = false;
+      this._finish();
+    }
+
+    /** @private Advance one frame (called by engine). */
+    _step() {
+      if (!this.running || this._blocked) return;
+      activeScript = this;
+      try {
+        if (!this._started) {
+          this._started = true;
+          const r = this._fn.apply(this._self, this._args);
+          if (r && typeof r.next === 'function') this._iter = r;
+          else {
+            // async / plain function: runs on its own, never stepped again
+            this._blocked = true;
+            Promise.resolve(r).then(() => this.stop(), e => this._fail(e));
+            return;
+          }
+        }
+        const { value, done } = this._iter.next();
+        if (done) this.stop();
+        else if (value && typeof value.then === 'function') {
+          this._blocked = true;
+          value.then(() => { this._blocked = false; }, e => this._fail(e));
+        }
+      } catch (e) {
+        this._fail(e);
+      } finally {
+        activeScript = null;
+      }
+    }
+
+    /** @private */
+    _fail(e) {
+      this.stop();
+      console.error('[p5sprite] script error:', e);
+    }
+  }
+
+  /**
+   * Start a script that runs alongside all others, beginning next frame.
+   * ```js
+   * startScript(function* () {
+   *   hero.stepForward(50);
+   *   yield wait(1);
+   *   hero.stepForward(50);
+   * });
+   * startScript(async () => {
+   *   await hero.glideTo(600, 200, 2);
+   *   await waitUntil(() => key.space);
+   * });
+   * ```
+   * An async script is only known to the scheduler at its first line and
+   * after awaiting one of the library's waits (`wait`, glides,
+   * `broadcastAndWait`…). After awaiting any other promise its waits may
+   * belong to no script or the wrong one, so {@link stop} misses them; wait
+   * for such promises with {@link waitUntil}, or use a generator.
+   * @param {Function} fn Generator function, async function or plain function
+   * @param {...*} args Passed to `fn`
+   * @returns {Script}
+   */
+  function startScript(fn, ...args) { return _spawn(fn, undefined, args); }
+
+  /** @private */
+  function _spawn(fn, self, args) {
+    const sc = new Script(fn, self, args);
+    scripts.push(sc);
+    return sc;
+  }
+
+  /**
+   * Register a per-frame callback (Scratch-style “forever” loop).
+   * Each call adds another loop; earlier ones keep running.
+   * @param {Function} fn Callback executed each update step (see {@link clock})
+   * @returns {Script}
+   */
+  function forever(fn) {
+    return startScript(function* () { for (;;) { fn(); yield; } });
+  }
+
+  /**
+   * Call `fn` once per frame until `cond()` returns true.
+   * @param {Function} cond Exit condition, checked before each call
+   * @param {Function} fn Loop body
+   * @returns {Script}
+   */
+  function repeatUntil(cond, fn) {
+    return startScript(function* () { while (!cond()) { fn(); yield; } });
+  }
+
+  /**
+   * Pause the calling script for `seconds`.
+   * @param {number} seconds
+   * @returns {Promise<void>}
+   */
+  function wait(seconds) {
+    const end = _now() + seconds;
+    return _wait(() => _now() >= end);
+  }
+
+  /**
+   * Pause the calling script until `pred()` returns true (checked each frame).
+   * @param {Function} pred
+   * @returns {Promise<void>}
+   */
+  function waitUntil(pred) { return _wait(pred); }
+
+  /**
+   * Stop scripts (Scratch's “stop” block).
+   * ```js
+   * stop();          // every script, sound and the draw loop (“stop all”)
+   * stop('scripts'); // every script, keep rendering
+   * stop(script);    // one script from startScript / forever
+   * ```
+   * @param {'all'|'scripts'|Script} [target='all']
+   */
+  function stop(target = 'all') {
+    if (target instanceof Script) { target.stop(); return; }
+    scripts.splice(0).forEach(sc => sc.stop());
+    waits.length = 0;
+    if (target === 'all') audio.stopAll();
+    if (target === 'all' && sketchInstance) sketchInstance.noLoop();
+  }
+
+  /** @private Named easing curves for glides. */
+  const easings = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t))
+  };
+
+  /** @private Game time in seconds (stands still while paused, follows timeScale). */
+  function _now() { return clock.elapsed; }
+
+  /**
+   * Register a wait owned by the active script; `test` runs once per frame.
+   * The promise resolves with `result()` when given.
+   * @private
+   */
+  function _wait(test, result) {
+    return new Promise(resolve => waits.push({ test, resolve: result ? () => resolve(result()) : resolve, owner: activeScript }));
+  }
+
+  /**
+   * Drive `apply(k)` with eased progress `k` from 0 to 1 over `seconds`.
+   * @private
+   */
+  function _tween(seconds, easing, apply) {
+    const ease = typeof easing === 'function' ? easing : (easings[easing] || easings.linear);
+    const t0 = _now();
+    return _wait(() => {
+      const t = seconds > 0 ? Math.min(1, (_now() - t0) / seconds) : 1;
+      apply(ease(t));
+      return t >= 1;
+    });
+  }
+
+  /**
+   * Resolve finished waits. Each resolution gets its own microtask so code
+   * after `await` runs with its own script active.
+   * @private
+   */
+  function _tickWaits() {
+    const ready = [];
+    for (let i = 0; i < waits.length; i++) {
+      const w = waits[i];
+      if (w.owner && w.owner.running && (w.owner.scene !== scene || w.owner._frozen)) continue;
+      if ((w.owner && !w.owner.running) || w.test()) {
+        waits.splice(i--, 1);
+        if (!w.owner || w.owner.running) ready.push(w);
+      }
+    }
+    const resumeNext = () => {
+      const w = ready.shift();
+      activeScript = w ? w.owner : null;
+      if (w) { w.resolve(); queueMicrotask(resumeNext); }
+    };
+    if (ready.length) queueMicrotask(resumeNext);
+  }
+
+  /** @private Step every running script once (called each frame). */
+  function _runScripts() {
+    _tickWaits();
+    scripts.slice().forEach(sc => { if (sc.scene === scene && !sc._frozen) sc._step(); });
+    for (let i = scripts.length - 1; i >= 0; i--) if (!scripts[i].running) scripts.splice(i, 1);
+  }
+
+  /* ──────────────────────────────────────────────
+     Engine clock
+     ────────────────────────────────────────────── */
+  /**
+   * Game time. Scripts, waits, glides, animations and the camera advance in
+   * update steps; rendering happens once per display frame.
+   *
+   * By default updates run at a fixed 60 per second whatever the monitor's
+   * refresh rate, so per-frame code (`forever(() => hero.stepForward(5))`)
+   * moves at the same speed on 60 Hz, 120 Hz and slow machines. With
+   * `setFixedStep(null)` there is one update per rendered frame and motion
+   * should be scaled by {@link deltaTime}.
+   * @namespace clock
+   */
+  const clock = {
+    /** @member {number} Seconds simulated by the current update step. */
+    deltaTime: 0,
+    /** @member {number} Game seconds since start (frozen while paused). */
+    elapsed: 0,
+    /** @member {number} Update steps run so far. */
+    frame: 0,
+    /** @member {number} Speed of game time (0.5 = slow motion, 2 = double speed). */
+    timeScale: 1,
+    /** @member {boolean} True between {@link pause} and {@link resume}. */
+    paused: false,
+    /** @member {?number} Seconds per update step, or null for one step per frame. */
+    fixedStep: 1 / 60,
+    /** @private Game time not yet simulated. */
+    _acc: 0,
+    /** @private Render rate cap (0 = display rate). */
+    _fps: 0
+  };
+
+  /** Most updates run in one frame before the clock gives up catching up. */
+  const MAX_STEPS = 5;
+
+  /**
+   * Run updates at a fixed rate (default 1/60 s), or once per rendered frame.
+   * @param {?number} seconds Step length, or null for variable steps
+   */
+  function setFixedStep(seconds) { clock.fixedStep = seconds > 0 ? seconds : null; clock._acc = 0; }
+
+  /**
+   * Cap the render rate. The default, 0, draws as often as the display refreshes.
+   * @param {number} fps
+   */
+  function setFrameRate(fps) {
+    clock._fps = fps;
+    if (sketchInstance && sketchInstance.frameRate) sketchInstance.frameRate(fps > 0 ? fps : 1000);
+  }
+
+  /**
+   * Freeze the game: running scripts, waits, timers, glides, animations and
+   * the camera hold still while the stage keeps drawing. Scripts started
+   * while paused (menus, `whenKeyPressed` hats) still run, so
+   * ```js
+   * whenKeyPressed('p', () => (clock.paused ? resume() : pause()));
+   * ```
+   * toggles the pause. Game time does not advance, so their `wait`s only
+   * finish after {@link resume}.
+   */
+  function pause() {
+    if (clock.paused) return;
+    clock.paused = true;
+    scripts.forEach(sc => { sc._frozen = true; });
+  }
+
+  /** Continue after {@link pause}. */
+  function resume() {
+    if (!clock.paused) return;
+    clock.paused = false;
+    clock._acc = 0;
+    scripts.forEach(sc => { sc._frozen = false; });
+  }
+
+  /**
+   * Call `fn` once, `seconds` of game time from now.
+   * @param {number} seconds
+   * @param {Function} fn
+   * @returns {Script} `stop()` it to cancel
+   */
+  function after(seconds, fn) {
+    return startScript(async () => { await wait(seconds); fn(); });
+  }
+
+  /**
+   * Call `fn` every `seconds` of game time until stopped. Ticks do not drift
+   * and several fire in one step if `seconds` is shorter than a step; a
+   * `seconds` of 0 or less fires once per step.
+   * ```js
+   * const spawner = every(2, () => createSprite(random(1280), 0, 'rock.png'));
+   * after(30, () => spawner.stop());
+   * ```
+   * @param {number} seconds
+   * @param {Function} fn
+   * @returns {Script} `stop()` it to cancel
+   */
+  function every(seconds, fn) {
+    if (!(seconds > 0)) return startScript(async () => { for (;;) { await _wait(() => true); fn(); } });
+    return startScript(async () => {
+      for (let next = _now() + seconds; ; next += seconds) {
+        if (_now() < next) await _wait(() => _now() >= next);
+        fn();
+      }
+    });
+  }
+
+  /**
+   * Advance the clock by one display frame: run zero or more update steps.
+   * @private
+   * @param {number} realDt Seconds since the previous frame
+   */
+  function _tickClock(realDt) {
+    if (clock.paused) { _update(0); return; }
+    const dt = Math.min(realDt, 0.25) * clock.timeScale;
+    if (!clock.fixedStep) { _update(dt); return; }
+    clock._acc += dt;
+    let n = 0;
+    // a hair of slack so 16.666…ms frames don't alternate between 0 and 2 steps
+    while (clock._acc >= clock.fixedStep - 1e-6 && n++ < MAX_STEPS) {
+      clock._acc -= clock.fixedStep;
+      _update(clock.fixedStep);
+    }
+    if (n > MAX_STEPS) clock._acc = 0;
+  }
+
+  /**
+   * One update step: input, messages, scripts, physics, animations, pen, camera.
+   * While paused (`dt` 0) only scripts started during the pause run.
+   * @private
+   */
+  function _update(dt) {
+    clock.deltaTime = dt;
+    clock.elapsed += dt;
+    clock.frame++;
+    if (!clock.paused) { _updateCamera(); penOps.length = 0; }
+    pauseOps.length = 0;
+    _beginInputFrame();
+    _pollActions();
+    _updateWidgets();
+    _flushBroadcasts();
+    _runScripts();
+    if (!clock.paused) {
+      _stepPhysics(dt);
+      scene.sprites.forEach(s => { s._animate(dt); s._trace(); });
+      _updateParticles(dt);
+    }
+    _endInputFrame();
+  }
+
+  /* ──────────────────────────────────────────────
+     Scenes
+     ────────────────────────────────────────────── */
+
+  /**
+   * Register a scene. `setupFn` runs the first time the scene is shown;
+   * sprites, labels, hats and scripts created inside it belong to the scene.
+   * ```js
+   * createScene('title', () => {
+   *   setBackground('#000');
+   *   createTextBox(640, 360, 'Press space');
+   *   whenKeyPressed('space', () => goToScene('level1', { lives: 3 }, { transition: 'fade' }));
+   * });
+   * ```
+   * Code outside any scene belongs to the built-in `'main'` scene.
+   * @param {string} name
+   * @param {Function} [setupFn] Receives the data passed to {@link goToScene}
+   * @returns {Scene}
+   */
+  function createScene(name, setupFn) {
+    if (scenes.has(name)) console.warn(`[p5sprite] scene "${name}" replaced`);
+    const sc = new Scene(name, setupFn || null);
+    scenes.set(name, sc);
+    return sc;
+  }
+
+  /**
+   * Switch scenes: runs the old scene's exit hooks, resets the
+   * {@link camera}, sets the new scene up on first visit, then starts its
+   * enter hooks.
+   * @param {string} name Scene name
+   * @param {*} [data] Passed to setup, onEnter and onExit
+   * @param {object} [opts]
+   * @param {'none'|'fade'|'slide-left'|'slide-right'|'slide-up'|'slide-down'} [opts.transition='none']
+   * @param {number} [opts.duration=0.5] Transition length (seconds)
+   */
+  function goToScene(name, data, opts = {}) {
+    const { transition: type = 'none', duration = 0.5 } = opts;
+    const next = scenes.get(name);
+    if (!next) { console.warn(`[p5sprite] unknown scene "${name}"`); return; }
+    if (next === scene) return;
+    if (type !== 'none' && sketchInstance && sketchInstance.canvas) {
+      transition = { img: sketchInstance.get(), type, t0: _now(), duration };
+    }
+    const prev = scene;
+    prev._exitHooks.forEach(fn => fn.call(prev, data));
+    scene = next;
+    camera.reset();
+    if (!next._ready) {
+      next._ready = true;
+      buildingScene = next;
+      try { next._setup.call(next, data); } finally { buildingScene = null; }
+    }
+    next._enterHooks.forEach(fn => _spawn(fn, next, [data]));
+    scenes.forEach(sc => sc.inputBoxes.forEach(ib => ib._applyDisplay()));
+  }
+
+  /** @returns {Scene} The scene being shown. */
+  function currentScene() { return scene; }
+
+  /**
+   * Overlay the previous scene's last frame while a transition runs.
+   * @private
+   */
+  function _drawTransition() {
+    if (!transition) return;
+    const sk = sketchInstance, { img, type, t0, duration } = transition;
+    const t = duration > 0 ? (_now() - t0) / duration : 1;
+    if (t >= 1) { transition = null; return; }
+    let x = 0, y = 0;
+    if (type === 'slide-left') x = -t * sk.width;
+    else if (type === 'slide-right') x = t * sk.width;
+    else if (type === 'slide-up') y = -t * sk.height;
+    else if (type === 'slide-down') y = t * sk.height;
+    sk.push();
+    sk.imageMode(sk.CORNER);
+    if (type === 'fade') sk.tint(255, 255 * (1 - t));
+    sk.image(img, x, y, sk.width, sk.height);
+    sk.pop();
+  }
+
+  /* ──────────────────────────────────────────────
+     Event hats (Scratch-style)
+     ────────────────────────────────────────────── */
+
+  /**
+   * Run `fn` each time `key` is pressed.
+   * Key names: `'space'`, `'left'`, `'right'`, `'up'`, `'down'`, `'enter'`,
+   * single characters (`'a'`, `'1'`) or `'any'`.
+   * @param {string} key Key name
+   * @param {Function} fn Called with the key name
+   */
+  function whenKeyPressed(key, fn) { _targetScene()._keyHandlers.push({ key: _normKey(key), fn }); }
+
+  /**
+   * Run `fn` when the stage is clicked where no visible sprite is.
+   * @param {Function} fn Called with `(x, y)` in canvas px
+   */
+  function whenStageClicked(fn) { _targetScene()._stageClickHandlers.push(fn); }
+
+  /**
+   * Run `fn` whenever `msg` is broadcast.
+   * @param {string} msg Message name
+   * @param {Function} fn Handler
+   */
+  function whenIReceive(msg, fn) { _addHandler(_targetScene()._messageHandlers, msg, fn); }
+
+  /**
+   * Send a message to every {@link whenIReceive} hat (global and per-sprite)
+   * in the current scene.
+   * Each handler starts as a new script at the start of the next frame.
+   * @param {string} msg Message name
+   */
+  function broadcast(msg) { broadcastQueue.push({ msg: String(msg), started: null }); }
+
+  /**
+   * Broadcast and wait until every handler script has finished.
+   * @param {string} msg Message name
+   * @returns {Promise<void>}
+   */
+  function broadcastAndWait(msg) {
+    const b = { msg: String(msg), started: null };
+    broadcastQueue.push(b);
+    return _wait(() => !!b.started && b.started.every(sc => !sc.running));
+  }
+
+  /** @private */
+  function _addHandler(map, msg, fn) {
+    const k = String(msg);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(fn);
   }
 
   /**
-   * Create a new {@link Sprite}.
-   *
-   * Call styles:
-   * ```js
-   * createSprite(x, y, 'a.png', 'b.png'); // explicit position
-   * createSprite('a.png', 'b.png');       // defaults to (0,0)
-   * ```
-   * @returns {Sprite}
+   * Map a key name or p5 key / keyCode pair to its canonical hat name.
+   * @private
    */
-  function createSprite(/* [x,y,] paths… */) {
-    let x = 0, y = 0, imgPaths = [...arguments];
-    if (typeof arguments[0] === 'number' && typeof arguments[1] === 'number') {
-      x = arguments[0]; y = arguments[1];
-      imgPaths = imgPaths.slice(2);
+  function _normKey(key, keyCode) {
+    switch (keyCode) {
+      case 37: return 'left';
+      case 39: return 'right';
+      case 38: return 'up';
+      case 40: return 'down';
+      case 32: return 'space';
+      case 13: return 'enter';
     }
-    const s = new Sprite(imgPaths);
-    s.moveTo(x, y);
-    sprites.push(s);
-    return s;
+    const k = String(key).toLowerCase();
+    if (k === ' ') return 'space';
+    if (k.startsWith('arrow')) return k.slice(5);
+    return k;
+  }
+
+  /** @private Fire key hats for a p5 keyPressed event. */
+  function _fireKey(key, keyCode) {
+    const name = _normKey(key, keyCode);
+    scene._keyHandlers.forEach(h => { if (h.key === name || h.key === 'any') startScript(h.fn, name); });
   }
 
   /**
-   * Create a persistent on-canvas label.
-   * @returns {TextBox}
+   * Dispatch a click (stage px) to the topmost sprite under the pointer,
+   * else the stage.
+   * @private
    */
-  function createTextBox(x, y, txt, color = '#fff', size = 24, font = 'sans-serif') {
-    const tb = new TextBox(x, y, txt, color, size, font);
-    textBoxes.push(tb);
-    return tb;
+  function _fireClick(x, y) {
+    const world = screenToWorld(x, y);
+    const hit = scene.sprites.slice().sort((a, b) => a.layer - b.layer).reverse()
+      .find(s => (s.fixed ? s.containsPoint(x, y) : s.containsPoint(world.x, world.y)));
+    if (hit) hit._clickHandlers.forEach(fn => _spawn(fn, hit, [hit]));
+    else scene._stageClickHandlers.forEach(fn => startScript(fn, x, y));
+  }
+
+  /** @private Deliver queued broadcasts (called once per frame). */
+  function _flushBroadcasts() {
+    broadcastQueue.splice(0).forEach(b => {
+      const started = (scene._messageHandlers.get(b.msg) || []).map(fn => startScript(fn, b.msg));
+      scene.sprites.forEach(s => (s._messageHandlers.get(b.msg) || [])
+        .forEach(fn => started.push(_spawn(fn, s, [s]))));
+      b.started = started;
+    });
   }
 
+  /* ──────────────────────────────────────────────
+     Input state (keyboard, mouse, touch)
+     ────────────────────────────────────────────── */
   /**
-   * Create a Unicode-capable input box tied to the canvas.
-   * @returns {InputBox}
+   * Live mouse state. `x`/`y` are stage coordinates, `worldX`/`worldY` the
+   * same point through the {@link camera}; `wheel` is this frame's scroll.
+   * @namespace mouse
    */
-  function createInputBox(x, y, w = 200, h = 28, placeholder = '', layer = 0) {
-    const ib = new InputBox(x, y, w, h, placeholder, layer);
-    inputBoxes.push(ib);
-    return ib;
+  const mouse = {
+    /** Stage x. */ x: 0,
+    /** Stage y. */ y: 0,
+    /** World x under the pointer. */ worldX: 0,
+    /** World y under the pointer. */ worldY: 0,
+    /** Any button held. */ down: false,
+    /** Left button held. */ left: false,
+    /** Middle button held. */ middle: false,
+    /** Right button held. */ right: false,
+    /** Wheel delta this frame (positive = scrolled down). */ wheel: 0
+  };
+
+  /**
+   * Active touch points: `{id, x, y, worldX, worldY, startX, startY}` in
+   * stage coordinates, in touch order.
+   * @type {object[]}
+   */
+  const pointers = [];
+
+  /**
+   * Is a key held? Names as in {@link whenKeyPressed}, `KeyboardEvent.code`
+   * values (`'KeyW'`, `'ShiftLeft'`) or numeric keyCodes.
+   * @param {string|number} k
+   * @returns {boolean}
+   */
+  function isKeyDown(k) {
+    if (typeof k === 'number') return keysDown.has(k);
+    const name = _normKey(k);
+    for (const names of keysDown.values()) if (names.includes(name)) return true;
+    return false;
   }
 
   /**
-   * Load a sound file (requires p5.sound). Loops automatically if requested.
-   * @param {string} path
-   * @param {boolean} [loop=false]
-   * @returns {p5.SoundFile}
+   * Was the key pressed since the last frame?
+   * @param {string|number} k See {@link isKeyDown}
+   * @returns {boolean}
    */
-  function createSound(path, loop = false) {
-    const snd = sketchInstance.loadSound(path, () => { if (loop) snd.loop(); });
-    return snd;
+  function keyJustPressed(k) { return keysPressed.has(typeof k === 'number' ? k : _normKey(k)); }
+
+  /**
+   * Was the key released since the last frame?
+   * @param {string|number} k See {@link isKeyDown}
+   * @returns {boolean}
+   */
+  function keyJustReleased(k) { return keysReleased.has(typeof k === 'number' ? k : _normKey(k)); }
+
+  /**
+   * Is the user typing into a text field? Game keys ignore those keystrokes.
+   * @private
+   */
+  function _typing() {
+    const el = typeof document !== 'undefined' && document.activeElement;
+    return !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.isContentEditable === true);
+  }
+
+  /** @private Record a key press (p5 keyPressed). */
+  function _keyDown(key, keyCode, e) {
+    const names = [_normKey(key, keyCode)];
+    if (e && e.code) names.push(_normKey(e.code));
+    keysDown.set(keyCode, names);
+    names.forEach(n => keysPressed.add(n));
+    keysPressed.add(keyCode);
+  }
+
+  /** @private Record a key release (p5 keyReleased). */
+  function _keyUp(keyCode) {
+    const names = keysDown.get(keyCode);
+    if (!names) return;
+    keysDown.delete(keyCode);
+    names.forEach(n => keysReleased.add(n));
+    keysReleased.add(keyCode);
+  }
+
+  /** @private Update mouse position from an event. */
+  function _mouseMove(e) {
+    const p = _eventToStage(e);
+    mouse.x = p.x; mouse.y = p.y;
+  }
+
+  /** @private Update mouse buttons from a press / release event. */
+  function _mouseButton(e, on) {
+    const b = e && e.button;
+    if (b === 1) mouse.middle = on;
+    else if (b === 2) mouse.right = on;
+    else mouse.left = on;
+    mouse.down = mouse.left || mouse.middle || mouse.right;
   }
 
   /**
-   * Register a per-frame callback (Scratch-style “forever” loop).
-   * @param {Function} fn Callback executed each draw()
+   * Sync touch points from a touch event.
+   * @private
+   * @returns {boolean} true if this touch is the first (acts as the mouse)
    */
-  function forever(fn) { gameLoop = fn; }
+  function _touch(e, phase) {
+    lastTouchAt = Date.now();
+    const list = (e && e.changedTouches) || [];
+    let primary = false;
+    for (let i = 0; i < list.length; i++) {
+      const t = list[i], p = _clientToStage(t.clientX, t.clientY);
+      const idx = pointers.findIndex(q => q.id === t.identifier);
+      if (phase === 'start') {
+        primary = primary || pointers.length === 0;
+        pointers.push({ id: t.identifier, x: p.x, y: p.y, worldX: 0, worldY: 0, startX: p.x, startY: p.y });
+      } else if (idx >= 0 && phase === 'move') {
+        Object.assign(pointers[idx], p);
+      } else if (idx >= 0) {
+        pointers.splice(idx, 1);
+      }
+    }
+    pointers.forEach(q => { const w = screenToWorld(q.x, q.y); q.worldX = w.x; q.worldY = w.y; });
+    return primary;
+  }
+
+  /** @private Per-frame input bookkeeping before scripts run. */
+  function _beginInputFrame() {
+    mouse.wheel = wheelAcc;
+    wheelAcc = 0;
+    const w = screenToWorld(mouse.x, mouse.y);
+    mouse.worldX = w.x; mouse.worldY = w.y;
+  }
 
-  /** Stop the p5 draw loop entirely. */
-  function stop() { if (sketchInstance) sketchInstance.noLoop(); }
+  /** @private Forget this frame's just-pressed / just-released keys. */
+  function _endInputFrame() {
+    keysPressed.clear();
+    keysReleased.clear();
+  }
 
   /* ──────────────────────────────────────────────
-     Keyboard helper (internal)
+     Gamepads, virtual controls & actions
      ────────────────────────────────────────────── */
-  /** @private */
-  function _upd(code, on) {
-    switch (code) {
-      case sketchInstance.LEFT_ARROW:  keyState.left  = on; break;
-      case sketchInstance.RIGHT_ARROW: keyState.right = on; break;
-      case sketchInstance.UP_ARROW:    keyState.up    = on; break;
-      case sketchInstance.DOWN_ARROW:  keyState.down  = on; break;
-      case 32:                         keyState.space = on; break;
+  /** Standard-mapping button names → indices. */
+  const PAD_BUTTONS = {
+    A: 0, B: 1, X: 2, Y: 3, LB: 4, RB: 5, LT: 6, RT: 7, back: 8, start: 9,
+    LS: 10, RS: 11, up: 12, down: 13, left: 14, right: 15, home: 16
+  };
+  /** Stick directions → [axis index, sign]. */
+  const PAD_AXES = {
+    'LS-left': [0, -1], 'LS-right': [0, 1], 'LS-up': [1, -1], 'LS-down': [1, 1],
+    'RS-left': [2, -1], 'RS-right': [2, 1], 'RS-up': [3, -1], 'RS-down': [3, 1]
+  };
+
+  /**
+   * Bind a logical action to keys and gamepad inputs (replaces earlier
+   * bindings). Virtual buttons feed actions by name. The built-in actions
+   * `left`, `right`, `up`, `down` and `space` drive {@link key}.
+   * ```js
+   * mapAction('jump', { keys: ['space', 'w'], gamepad: ['A'] });
+   * createVirtualButton(1180, 620, 50, 'A', 'jump');
+   * if (actionJustPressed('jump')) hero.vy = -12;
+   * ```
+   * @param {string} name
+   * @param {object} bindings
+   * @param {Array<string|number>} [bindings.keys] Key names / codes (see {@link isKeyDown})
+   * @param {Array<string|number>} [bindings.gamepad] Button names (`'A'`, `'start'`,
+   *   `'up'`…), indices, or stick directions (`'LS-left'`, `'RS-down'`…)
+   */
+  function mapAction(name, { keys = [], gamepad = [] } = {}) {
+    actions.set(name, { keys, gamepad });
+  }
+
+  /**
+   * Is the action held (any key, gamepad or virtual control bound to it)?
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function isActionDown(name) { return actionNow.get(name) || false; }
+
+  /**
+   * Did the action start this frame?
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function actionJustPressed(name) {
+    const a = actions.get(name);
+    return (isActionDown(name) && !actionPrev.get(name)) ||
+      (!!a && a.keys.some(k => keyJustPressed(k)));
+  }
+
+  /**
+   * Did the action end this frame?
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function actionJustReleased(name) { return !isActionDown(name) && !!actionPrev.get(name); }
+
+  /**
+   * Snapshot of a connected gamepad, with the deadzone applied to axes.
+   * @param {number} [index=0] Gamepad slot
+   * @returns {?{index: number, id: string, buttons: {pressed: boolean, value: number}[], axes: number[]}}
+   */
+  function gamepad(index = 0) { return pads.find(p => p.index === index) || null; }
+
+  /**
+   * Is a gamepad button held on any pad (or pad `index`)?
+   * @param {string|number} button Name (`'A'`, `'start'`…) or index
+   * @param {number} [index] Only check this pad
+   * @returns {boolean}
+   */
+  function isButtonDown(button, index) {
+    return pads.some(p => (index == null || p.index === index) && _padInput(p, button));
+  }
+
+  /**
+   * Axis values whose magnitude is below `v` read as 0.
+   * @param {number} v 0–1
+   */
+  function setDeadzone(v) { deadzone = v; }
+
+  /**
+   * Run `fn` as a script when a gamepad connects.
+   * @param {Function} fn Receives the {@link gamepad} snapshot
+   */
+  function whenGamepadConnected(fn) { padConnectHandlers.push(fn); }
+
+  /**
+   * Run `fn` as a script when a gamepad disconnects.
+   * @param {Function} fn Receives the pad index
+   */
+  function whenGamepadDisconnected(fn) { padDisconnectHandlers.push(fn); }
+
+  /** @private Is a button name / index or stick direction active on a pad? */
+  function _padInput(p, input) {
+    if (PAD_AXES[input]) {
+      const [axis, sign] = PAD_AXES[input];
+      return (p.axes[axis] || 0) * sign > 0.5;
+    }
+    const b = p.buttons[typeof input === 'number' ? input : PAD_BUTTONS[input]];
+    return !!b && b.pressed;
+  }
+
+  /** @private Read navigator.getGamepads() and fire connect / disconnect hats. */
+  function _pollGamepads() {
+    const raw = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    const before = new Set(pads.map(p => p.index));
+    pads = Array.from(raw || []).filter(g => g && g.connected).map(g => ({
+      index: g.index,
+      id: g.id,
+      buttons: Array.from(g.buttons, b => ({ pressed: b.pressed, value: b.value })),
+      axes: Array.from(g.axes, v => (Math.abs(v) < deadzone ? 0 : v))
+    }));
+    pads.forEach(p => { if (!before.delete(p.index)) padConnectHandlers.forEach(fn => startScript(fn, p)); });
+    before.forEach(i => padDisconnectHandlers.forEach(fn => startScript(fn, i)));
+  }
+
+  /** @private Recompute every action (and {@link key}) once per frame. */
+  function _pollActions() {
+    _pollGamepads();
+    virtualControls.forEach(vc => vc._update());
+    actions.forEach((a, name) => {
+      actionPrev.set(name, actionNow.get(name) || false);
+      actionNow.set(name, a.keys.some(k => isKeyDown(k)) ||
+        pads.some(p => a.gamepad.some(g => _padInput(p, g))) ||
+        virtualControls.some(vc => !vc.hidden && vc._feeds(name)));
+    });
+    Object.keys(keyState).forEach(k => { keyState[k] = isActionDown(k); });
+  }
+
+  mapAction('left', { keys: ['left'], gamepad: ['left', 'LS-left'] });
+  mapAction('right', { keys: ['right'], gamepad: ['right', 'LS-right'] });
+  mapAction('up', { keys: ['up'], gamepad: ['up', 'LS-up'] });
+  mapAction('down', { keys: ['down'], gamepad: ['down', 'LS-down'] });
+  mapAction('space', { keys: ['space'], gamepad: ['A'] });
+
+  /**
+   * On-screen analog stick for touch screens (drawn as HUD on top of
+   * everything). Tilting past half-way feeds the direction actions.
+   * @class
+   */
+  class VirtualJoystick {
+    /**
+     * @param {number} x Centre x (stage px)
+     * @param {number} y Centre y (stage px)
+     * @param {number} [radius=70]
+     * @param {object} [opts]
+     * @param {{left: string, right: string, up: string, down: string}} [opts.actions]
+     *   Actions fed by each direction (default: `left`/`right`/`up`/`down`)
+     * @param {boolean} [opts.touchOnly=true] Only show once the screen has been touched
+     */
+    constructor(x, y, radius = 70, opts = {}) {
+      this.x = x; this.y = y; this.radius = radius;
+      /** @member {{x: number, y: number}} Stick position, −1…1 per axis. */
+      this.value = { x: 0, y: 0 };
+      this.actions = opts.actions || { left: 'left', right: 'right', up: 'up', down: 'down' };
+      this.touchOnly = opts.touchOnly ?? true;
+      this.hidden = false;
+      this._pointer = null;
+    }
+
+    /** @param {number} x
+        @param {number} y */
+    moveTo(x, y) { this.x = x; this.y = y; }
+
+    /** Remove the stick. */
+    remove() { const i = virtualControls.indexOf(this); if (i >= 0) virtualControls.splice(i, 1); }
+
+    /** @private */
+    _visible() { return !this.hidden && (!this.touchOnly || lastTouchAt > -Infinity); }
+
+    /** @private Does a stage point start a drag on this control? */
+    _hit(x, y) { return this._visible() && Math.hypot(x - this.x, y - this.y) <= this.radius; }
+
+    /** @private Track the captured pointer. */
+    _update() {
+      const p = _capture(this);
+      if (!p) { this.value = { x: 0, y: 0 }; return; }
+      let dx = (p.x - this.x) / this.radius, dy = (p.y - this.y) / this.radius;
+      const len = Math.hypot(dx, dy);
+      if (len > 1) { dx /= len; dy /= len; }
+      this.value = { x: dx, y: dy };
+    }
+
+    /** @private */
+    _feeds(name) {
+      const { x, y } = this.value, a = this.actions;
+      return (name === a.left && x < -0.5) || (name === a.right && x > 0.5) ||
+        (name === a.up && y < -0.5) || (name === a.down && y > 0.5);
+    }
+
+    /** @private */
+    _draw() {
+      if (!this._visible()) return;
+      const sk = sketchInstance;
+      sk.push();
+      sk.noStroke();
+      sk.fill(255, 60);
+      sk.circle(this.x, this.y, this.radius * 2);
+      sk.fill(255, 140);
+      sk.circle(this.x + this.value.x * this.radius, this.y + this.value.y * this.radius, this.radius);
+      sk.pop();
+    }
+  }
+
+  /**
+   * On-screen round button for touch screens; feeds one action while held.
+   * @class
+   */
+  class VirtualButton {
+    /**
+     * @param {number} x Centre x (stage px)
+     * @param {number} y Centre y (stage px)
+     * @param {number} radius
+     * @param {string} label Text drawn on the button
+     * @param {string} action Action fed while held
+     * @param {object} [opts]
+     * @param {boolean} [opts.touchOnly=true] Only show once the screen has been touched
+     */
+    constructor(x, y, radius, label, action, opts = {}) {
+      this.x = x; this.y = y; this.radius = radius;
+      this.label = label;
+      this.action = action;
+      /** @member {boolean} Held this frame. */
+      this.pressed = false;
+      this.touchOnly = opts.touchOnly ?? true;
+      this.hidden = false;
+      this._pointer = null;
+    }
+
+    /** @param {number} x
+        @param {number} y */
+    moveTo(x, y) { this.x = x; this.y = y; }
+
+    /** Remove the button. */
+    remove() { const i = virtualControls.indexOf(this); if (i >= 0) virtualControls.splice(i, 1); }
+
+    /** @private */
+    _visible() { return !this.hidden && (!this.touchOnly || lastTouchAt > -Infinity); }
+
+    /** @private */
+    _hit(x, y) { return this._visible() && Math.hypot(x - this.x, y - this.y) <= this.radius; }
+
+    /** @private */
+    _update() { this.pressed = !!_capture(this); }
+
+    /** @private */
+    _feeds(name) { return this.pressed && name === this.action; }
+
+    /** @private */
+    _draw() {
+      if (!this._visible()) return;
+      const sk = sketchInstance;
+      sk.push();
+      sk.noStroke();
+      sk.fill(255, this.pressed ? 160 : 70);
+      sk.circle(this.x, this.y, this.radius * 2);
+      sk.fill(0, 160);
+      sk.textAlign(sk.CENTER, sk.CENTER);
+      sk.textSize(this.radius * 0.7);
+      sk.text(this.label, this.x, this.y);
+      sk.pop();
+    }
+  }
+
+  /**
+   * Add an on-screen joystick.
+   * @returns {VirtualJoystick}
+   */
+  function createVirtualJoystick(x, y, radius = 70, opts = {}) {
+    const vc = new VirtualJoystick(x, y, radius, opts);
+    virtualControls.push(vc);
+    return vc;
+  }
+
+  /**
+   * Add an on-screen button that feeds `action` while held.
+   * @returns {VirtualButton}
+   */
+  function createVirtualButton(x, y, radius, label, action, opts = {}) {
+    const vc = new VirtualButton(x, y, radius, label, action, opts);
+    virtualControls.push(vc);
+    return vc;
+  }
+
+  /**
+   * Keep (or find) the pointer driving a virtual control: a touch that
+   * started on it, or the held left mouse button.
+   * @private
+   * @returns {?{x: number, y: number}}
+   */
+  function _capture(vc) {
+    const all = pointers.map(p => ({ id: p.id, x: p.x, y: p.y, sx: p.startX, sy: p.startY }));
+    if (mouse.left && !pointers.length) all.push({ id: 'mouse', x: mouse.x, y: mouse.y, sx: mouse.x, sy: mouse.y });
+    let p = all.find(q => q.id === vc._pointer);
+    if (!p) {
+      const taken = new Set(virtualControls.filter(c => c !== vc && c._pointer != null).map(c => c._pointer));
+      p = all.find(q => !taken.has(q.id) && vc._hit(q.sx, q.sy));
     }
+    vc._pointer = p ? p.id : null;
+    return p || null;
   }
 
+  /** @private Is a stage point on a visible virtual control? */
+  function _onVirtualControl(x, y) { return virtualControls.some(vc => vc._hit(x, y)); }
+
   /* ──────────────────────────────────────────────
      p5 instance bootstrap
      ────────────────────────────────────────────── */
-  sketchInstance = new window.p5(sk => {
+  /** @private The p5 sketch: setup, the draw loop and the input events. */
+  function _sketch(sk) {
     sk.setup = () => {
-      sk.createCanvas(canvaX, canvaY).position((sk.windowWidth - canvaX) / 2, (sk.windowHeight - canvaY) / 2).style('z-index', '0'); // lower than input box
-      sk.frameRate(60);
+      if (opts.globals) { stageW = canvaX; stageH = canvaY; }   // classic scripts may set these before setup
+      sk.createCanvas(stageW, stageH).style('z-index', '0'); // lower than input box
+      _layoutCanvas();
+      setFrameRate(clock._fps || 0);
       sk.imageMode(sk.CENTER);
       sk.textFont('sans-serif');
+      penLayer = sk.createGraphics(stageW, stageH);
     };
 
     sk.draw = () => {
+      _updateAudio(sk.deltaTime / 1000);
+      if (loadGate.done < loadGate.total) { _drawLoading(sk); _drawAssetErrors(sk); return; }
+      started = true;
+      _tickClock(sk.deltaTime / 1000);   // first, so the whole frame shares one view
       sk.clear();
-      if (backdropImage) sk.image(backdropImage, sk.width / 2, sk.height / 2, sk.width, sk.height);
-      else if (bgColor != null) sk.background(bgColor); else sk.background(30);
+      _paintBackdrop(sk);
+      scene.tilemaps.forEach(m => _inView(sk, false, () => m._draw(sk)));
+      if (penLayer) _inView(sk, false, () => sk.image(penLayer, sk.width / 2, sk.height / 2));
+      _drawPenOps(sk);
+
+      [...scene.sprites, ...scene.emitters].sort((a, b) => a.layer - b.layer).forEach(s => _inView(sk, s.fixed, () => s._draw()));
+      scene.sprites   .filter(s => s._bubble).forEach(s => _inView(sk, s.fixed, () => s._drawBubble()));
+      [...scene.textBoxes, ...scene.monitors].sort((a, b) => a.layer - b.layer).forEach(t => _inView(sk, t.fixed, () => t._draw()));
+      scene.widgets   .slice().sort((a, b) => a.layer - b.layer).forEach(w => { if (w._visible()) _inView(sk, w.fixed, () => w._draw()); });
+      scene.inputBoxes.slice().sort((a, b) => a.layer - b.layer).forEach(i => i._sync());
+      _drawTransition();
+      virtualControls.forEach(vc => vc._draw());
+      _drawAssetErrors(sk);
+    };
+
+    // keystrokes typed into an InputBox never reach the game
+    sk.keyPressed   = e => {
+      if (_typing() || !_hasKeys()) return;
+      _keyDown(sk.key, sk.keyCode, e);
+      _fireKey(sk.key, sk.keyCode);
+    };
+    sk.keyReleased  = () => _keyUp(sk.keyCode);   // always, so keys never stick
+    sk.mouseMoved   = e => _mouseMove(e);
+    sk.mouseDragged = e => _mouseMove(e);
+    sk.mousePressed = e => {
+      if (Date.now() - lastTouchAt < 800 || !_ownsPointer(e)) return;
+      _mouseMove(e);
+      _mouseButton(e, true);
+      if (!_onVirtualControl(mouse.x, mouse.y) && !_pressWidget(mouse.x, mouse.y)) _fireClick(mouse.x, mouse.y);
+    };
+    sk.mouseReleased = e => {
+      if (Date.now() - lastTouchAt < 800) return;
+      _mouseButton(e, false);
+      _releaseWidget(mouse.x, mouse.y);
+    };
+    sk.mouseWheel   = e => { wheelAcc += e ? (e.delta ?? e.deltaY ?? 0) : 0; };
+    sk.touchStarted = e => {
+      if (!_ownsPointer(e) || !_touch(e, 'start')) return;
+      const p = pointers[0];
+      mouse.x = p.x; mouse.y = p.y;
+      mouse.left = mouse.down = true;
+      if (!_onVirtualControl(p.x, p.y) && !_pressWidget(p.x, p.y)) _fireClick(p.x, p.y);
+    };
+    sk.touchMoved   = e => {
+      _touch(e, 'move');
+      if (pointers[0]) { mouse.x = pointers[0].x; mouse.y = pointers[0].y; }
+    };
+    sk.touchEnded   = e => {
+      _touch(e, 'end');
+      if (!pointers.length) {
+        mouse.left = mouse.down = false;
+        _releaseWidget(mouse.x, mouse.y);
+      }
+    };
+    sk.windowResized = () => _layoutCanvas();
+  }
 
-      if (gameLoop) gameLoop();
+  /**
+   * With several stages on a page, does a press belong to this one? It
+   * also takes the keyboard focus.
+   * @private
+   */
+  function _ownsPointer(e) {
+    const t = e && e.changedTouches ? e.changedTouches[0] : e;
+    if (liveStages.size > 1 && sketchInstance.canvas && t && t.clientX != null) {
+      const r = sketchInstance.canvas.getBoundingClientRect();
+      if (t.clientX < r.left || t.clientX > r.right || t.clientY < r.top || t.clientY > r.bottom) return false;
+    }
+    focusedStage = stage;
+    return true;
+  }
+
+  /** @private Keys reach the focused stage (any stage until one is clicked). */
+  function _hasKeys() { return liveStages.size < 2 || !focusedStage || focusedStage === stage; }
 
-      sprites   .slice().sort((a, b) => a.layer - b.layer).forEach(s => s._draw());
-      textBoxes .slice().sort((a, b) => a.layer - b.layer).forEach(t => t._draw());
-      inputBoxes.slice().sort((a, b) => a.layer - b.layer).forEach(i => i._sync());
+  /**
+   * Stand-in for p5 on headless stages: drawing calls do nothing, images
+   * are opaque blank boxes ({@link createStage}'s `imageSize`) and files
+   * other than images load through `fetch`.
+   * @private
+   */
+  function _headlessP5() {
+    const noop = () => {};
+    const later = fn => Promise.resolve().then(fn);
+    const image = (w, h) => ({
+      width: w, height: h, pixels: new Uint8ClampedArray(w * h * 4).fill(255),
+      loadPixels: noop, updatePixels: noop, copy: noop, resize: noop, get: () => image(1, 1)
+    });
+    const levels = c => {
+      if (c && c.levels) return c.levels;
+      const m = /^#([0-9a-f]{3,8})$/i.exec(typeof c === 'string' ? c : '');
+      if (!m) return [255, 255, 255, 255];
+      let h = m[1];
+      if (h.length <= 4) h = h.replace(/./g, d => d + d);
+      return [0, 2, 4, 6].map(i => (i < h.length ? parseInt(h.slice(i, i + 2), 16) : 255));
     };
+    const renderer = (w, h) => new Proxy({
+      width: w, height: h, deltaTime: 1000 / 60, frameCount: 0, mouseX: 0, mouseY: 0, key: '', keyCode: 0,
+      canvas: null, drawingContext: { globalAlpha: 1 }, pixels: new Uint8ClampedArray(0),
+      CENTER: 'center', CORNER: 'corner', LEFT: 'left', RIGHT: 'right', TOP: 'top', BOTTOM: 'bottom',
+      ROUND: 'round', CLOSE: 'close',
+      radians: d => d * Math.PI / 180, degrees: r => r * 180 / Math.PI,
+      color: (...a) => ({ levels: a.length > 2 ? [a[0], a[1], a[2], a[3] ?? 255] : levels(a[0]) }),
+      textWidth(s) { return String(s).length * (this._size || 12) * 0.6; },
+      textSize(n) { this._size = n; },
+      pixelDensity: () => 1,
+      createCanvas(cw, ch) { this.width = cw; this.height = ch; return { style() { return this; } }; },
+      resizeCanvas(cw, ch) { this.width = cw; this.height = ch; },
+      createGraphics: (gw, gh) => renderer(gw, gh),
+      createImage: (iw, ih) => image(iw, ih),
+      get: () => image(1, 1),
+      loadImage(path, ok) {
+        const [iw, ih] = opts.imageSize ? opts.imageSize(path) : [32, 32];
+        const img = image(iw, ih);
+        later(() => ok && ok(img));
+        return img;
+      },
+      loadJSON(path, ok, fail) {
+        const out = {};
+        fetch(path).then(r => { if (!r.ok) throw new Error(r.status); return r.json(); })
+          .then(d => { ok && ok(Object.assign(out, d)); }, () => fail && fail());
+        return out;
+      },
+      loadFont(path, ok) { const f = {}; later(() => ok && ok(f)); return f; }
+    }, {
+      get: (o, k) => (k in o || typeof k === 'symbol' || k === 'then' ? o[k] : noop)
+    });
+    return renderer(stageW, stageH);
+  }
 
-    sk.keyPressed  = () => _upd(sk.keyCode, true);
-    sk.keyReleased = () => _upd(sk.keyCode, false);
-  });
+  if (headless) {
+    sketchInstance = _headlessP5();
+    _sketch(sketchInstance);
+    sketchInstance.setup();
+  } else {
+    sketchInstance = new P5(_sketch, stageParent || undefined);
+  }
+
+  /**
+   * Advance the game by whole frames of `1 / 60` s (or the fixed step) of
+   * real time, letting scripts and loads settle after each one; game time
+   * follows {@link clock}.timeScale and pauses as usual. Meant for headless
+   * stages, where nothing moves otherwise.
+   * @memberof Stage
+   * @param {number} [frames=1]
+   * @returns {Promise<void>}
+   */
+  async function step(frames = 1) {
+    const sk = sketchInstance;
+    const settle = () => new Promise(r => (typeof setImmediate === 'function' ? setImmediate(r) : setTimeout(r, 0)));
+    await settle();   // files requested so far
+    for (let i = 0; i < frames; i++) {
+      sk.deltaTime = 1000 * (clock.fixedStep || 1 / 60);
+      sk.frameCount++;
+      sk.draw();
+      await settle();
+    }
+  }
+
+  /** @private Key name → [p5 key, keyCode] for synthetic key events. */
+  function _keyEvent(name) {
+    const codes = { left: 37, right: 39, up: 38, down: 40, space: 32, enter: 13, escape: 27,
+      shift: 16, control: 17, alt: 18, tab: 9, backspace: 8 };
+    const n = String(name).toLowerCase();
+    if (codes[n] !== undefined) return [n === 'space' ? ' ' : name, codes[n]];
+    if (n.length === 1) return [n, n.toUpperCase().charCodeAt(0)];
+    return [name, `key:${n}`];   // no keyCode; still unique in the held-key table
+  }
+
+  /** @private Stage point as a synthetic pointer event. */
+  function _pointerEvent(x, y, button = 0) {
+    const sk = sketchInstance;
+    if (!sk.canvas) return { clientX: x, clientY: y, button };
+    const r = sk.canvas.getBoundingClientRect();
+    return { clientX: r.left + x * r.width / sk.width, clientY: r.top + y * r.height / sk.height, button };
+  }
+
+  /**
+   * Synthetic input, fed through the same paths as real events (stage px).
+   * ```js
+   * stage.input.click(320, 200);
+   * stage.input.keyDown('space'); await stage.step(); stage.input.keyUp('space');
+   * ```
+   * @namespace input
+   * @memberof Stage
+   */
+  const input = {
+    /** Hold a key (`'left'`, `'space'`, `'a'`…). @param {string} name */
+    keyDown(name) {
+      const [key, code] = _keyEvent(name), sk = sketchInstance;
+      sk.key = key; sk.keyCode = code;
+      sk.keyPressed({ key, code: '' });
+    },
+    /** Let go of a key. @param {string} name */
+    keyUp(name) {
+      const [key, code] = _keyEvent(name), sk = sketchInstance;
+      sk.key = key; sk.keyCode = code;
+      sk.keyReleased({ key, code: '' });
+    },
+    /** Press and release a key before the next frame. @param {string} name */
+    pressKey(name) { this.keyDown(name); this.keyUp(name); },
+    /** @param {number} x
+        @param {number} y */
+    mouseMove(x, y) { sketchInstance.mouseMoved(_pointerEvent(x, y)); },
+    /** @param {number} x
+        @param {number} y
+        @param {number} [button=0] 0 left, 1 middle, 2 right */
+    mouseDown(x, y, button = 0) { sketchInstance.mousePressed(_pointerEvent(x, y, button)); },
+    /** @param {number} x
+        @param {number} y
+        @param {number} [button=0] */
+    mouseUp(x, y, button = 0) {
+      sketchInstance.mouseMoved(_pointerEvent(x, y, button));
+      sketchInstance.mouseReleased(_pointerEvent(x, y, button));
+    },
+    /** Press and release the left button. @param {number} x
+        @param {number} y */
+    click(x, y) { this.mouseMove(x, y); this.mouseDown(x, y); this.mouseUp(x, y); },
+    /** @param {number} delta Wheel movement (positive = down) */
+    wheel(delta) { sketchInstance.mouseWheel({ delta }); },
+    /** @param {number} id Touch id
+        @param {number} x
+        @param {number} y */
+    touchStart(id, x, y) { sketchInstance.touchStarted(_touchEvent(id, x, y)); },
+    /** @param {number} id
+        @param {number} x
+        @param {number} y */
+    touchMove(id, x, y) { sketchInstance.touchMoved(_touchEvent(id, x, y)); },
+    /** @param {number} id
+        @param {number} x
+        @param {number} y */
+    touchEnd(id, x, y) { sketchInstance.touchEnded(_touchEvent(id, x, y)); }
+  };
+
+  /** @private Synthetic touch event for one finger. */
+  function _touchEvent(id, x, y) {
+    const p = _pointerEvent(x, y);
+    return { changedTouches: [{ identifier: id, clientX: p.clientX, clientY: p.clientY }] };
+  }
+
+  /**
+   * Plain-data picture of the running game, for tests and debugging: the
+   * clock, the scene, variables and lists, and its sprites (clones too),
+   * labels and input boxes.
+   * @memberof Stage
+   * @returns {object}
+   */
+  function snapshot() {
+    const vars = {};
+    variables.forEach((v, name) => { vars[name] = _deepCopy(v.value); });
+    return {
+      frame: clock.frame, elapsed: clock.elapsed, paused: clock.paused, scene: scene.name, variables: vars,
+      sprites: scene.sprites.map(s => ({
+        name: s.name, x: s.x, y: s.y, direction: s.direction, costumeId: s.costumeId, costume: s.costumeName,
+        scale: s.scale, hidden: s.hidden, layer: s.layer, isClone: s.isClone, vx: s.vx, vy: s.vy,
+        bubble: s._bubble ? s._bubble.text : null
+      })),
+      textBoxes: scene.textBoxes.map(tb => ({ text: tb.text, x: tb.x, y: tb.y, hidden: tb.hidden })),
+      inputBoxes: scene.inputBoxes.map(ib => ({ value: ib.value }))
+    };
+  }
+
+  /**
+   * Stop the game and take the stage off the page: scripts, sounds, the
+   * canvas, input boxes and event listeners.
+   * @memberof Stage
+   */
+  function destroy() {
+    stop();
+    audio.stopAll();
+    scenes.forEach(sc => sc.inputBoxes.slice().forEach(ib => ib.remove()));
+    if (!headless) {
+      ['pointerdown', 'keydown', 'touchstart'].forEach(t => window.removeEventListener(t, _unlockAudio, true));
+      sketchInstance.remove();
+    }
+    liveStages.delete(stage);
+    if (focusedStage === stage) focusedStage = null;
+  }
 
   /* ──────────────────────────────────────────────
-     Public API (attached to window)
+     Public API (the stage object)
      ────────────────────────────────────────────── */
-  /** Solid colour or image backdrop. */ window.setBackground = setBackground;
-  /** Sprite factory. */               window.createSprite   = createSprite;
-  /** Label factory. */                window.createTextBox  = createTextBox;
-  /** Input factory. */                window.createInputBox = createInputBox;
-  /** Sound loader. */                 window.createSound    = createSound;
-  /** Immediate text. */               window.drawText       = drawText;
-  /** Register forever loop. */        window.forever        = forever;
-  /** Halt draw loop. */               window.stop           = stop;
-  /** Pen helper object. */            window.pen            = pen;
-  /** Arrow/space key state. */        window.key            = keyState;
+  /**
+   * A game stage made by {@link createStage}: every function and object of
+   * the API, bound to this stage, plus `step`, `input`, `snapshot` and
+   * `destroy`.
+   * @typedef {object} Stage
+   */
+  const stage = {};
+  /** Solid colour or image backdrop. */ stage.setBackground = setBackground;
+  /** Sprite factory. */               stage.createSprite   = createSprite;
+  /** Label factory. */                stage.createTextBox  = createTextBox;
+  /** Input factory. */                stage.createInputBox = createInputBox;
+  /** Sound loader. */                 stage.createSound    = createSound;
+  /** Immediate text. */               stage.drawText       = drawText;
+  /** Register forever loop. */        stage.forever        = forever;
+  /** Stop scripts / draw loop. */     stage.stop           = stop;
+  /** Start a concurrent script. */    stage.startScript      = startScript;
+  /** Loop until a condition. */       stage.repeatUntil      = repeatUntil;
+  /** Pause for seconds. */            stage.wait             = wait;
+  /** Pause until a predicate. */      stage.waitUntil        = waitUntil;
+  /** Pen helper object. */            stage.pen            = pen;
+  /** Wipe the pen layer. */           stage.clearPen         = clearPen;
+  /** Cap live clones. */              stage.setCloneLimit    = setCloneLimit;
+  /** Scene factory. */                stage.createScene      = createScene;
+  /** Switch scenes. */                stage.goToScene        = goToScene;
+  /** Scene being shown. */            stage.currentScene     = currentScene;
+  /** World camera. */                 stage.camera           = camera;
+  /** Stage → world coords. */         stage.screenToWorld    = screenToWorld;
+  /** World → stage coords. */         stage.worldToScreen    = worldToScreen;
+  /** Logical stage size. */           stage.setStageSize     = setStageSize;
+  /** Window scaling mode. */          stage.setScaleMode     = setScaleMode;
+  /** Fullscreen on / off. */          stage.toggleFullscreen = toggleFullscreen;
+  /** Any key held? */                 stage.isKeyDown        = isKeyDown;
+  /** Key pressed this frame? */       stage.keyJustPressed   = keyJustPressed;
+  /** Key released this frame? */      stage.keyJustReleased  = keyJustReleased;
+  /** Mouse state. */                  stage.mouse            = mouse;
+  /** Touch points. */                 stage.pointers         = pointers;
+  /** Bind an action. */               stage.mapAction        = mapAction;
+  /** Action held? */                  stage.isActionDown     = isActionDown;
+  /** Action started this frame? */    stage.actionJustPressed  = actionJustPressed;
+  /** Action ended this frame? */      stage.actionJustReleased = actionJustReleased;
+  /** Gamepad snapshot. */             stage.gamepad          = gamepad;
+  /** Gamepad button held? */          stage.isButtonDown     = isButtonDown;
+  /** Stick deadzone. */               stage.setDeadzone      = setDeadzone;
+  /** Gamepad connect hat. */          stage.whenGamepadConnected    = whenGamepadConnected;
+  /** Gamepad disconnect hat. */       stage.whenGamepadDisconnected = whenGamepadDisconnected;
+  /** On-screen joystick. */           stage.createVirtualJoystick = createVirtualJoystick;
+  /** On-screen button. */             stage.createVirtualButton   = createVirtualButton;
+  /** Engine clock. */                 stage.clock            = clock;
+  /** Fixed / variable update steps. */ stage.setFixedStep    = setFixedStep;
+  /** Render rate cap. */              stage.setFrameRate     = setFrameRate;
+  /** Freeze game time. */             stage.pause            = pause;
+  /** Unfreeze game time. */           stage.resume           = resume;
+  /** One-shot timer. */               stage.after            = after;
+  /** Repeating timer. */              stage.every            = every;
+  /** Physics settings. */             stage.physics          = physics;
+  /** Set gravity. */                  stage.setGravity       = setGravity;
+  /** Load a Tiled map. */             stage.loadTilemap      = loadTilemap;
+  /** Preload files. */                stage.loadAssets       = loadAssets;
+  /** Cached file by path. */          stage.getAsset         = getAsset;
+  /** Volume groups & music. */        stage.audio            = audio;
+  /** Silence everything. */           stage.stopAllSounds    = stopAllSounds;
+  /** Canvas button. */                stage.createButton     = createButton;
+  /** Canvas slider. */                stage.createSlider     = createSlider;
+  /** Canvas checkbox. */              stage.createCheckbox   = createCheckbox;
+  /** Progress / health bar. */        stage.createProgressBar = createProgressBar;
+  /** Widget panel. */                 stage.createPanel      = createPanel;
+  /** Ask and wait for an answer. */   stage.ask              = ask;
+  /** Particle emitter. */            stage.createEmitter    = createEmitter;
+  /** Cap live particles. */           stage.setParticleLimit = setParticleLimit;
+  /** Saved variable + readout. */     stage.createVariable   = createVariable;
+  /** Saved list + readout. */         stage.createList       = createList;
+  /** Save game state. */              stage.saveGame         = saveGame;
+  /** Restore game state. */           stage.loadGame         = loadGame;
+  /** Is a save slot used? */          stage.hasSave          = hasSave;
+  Object.defineProperties(stage, {
+    /** Seconds simulated by this update step. */
+    deltaTime: { get: () => clock.deltaTime, configurable: true },
+    /** Game seconds since start. */
+    elapsed:   { get: () => clock.elapsed, configurable: true },
+    /** Speed of game time; assignable. */
+    timeScale: { get: () => clock.timeScale, set: v => { clock.timeScale = Math.max(0, v); }, configurable: true }
+  });
+  /** Arrow/space key state. */        stage.key            = keyState;
+  /** Key-press hat. */                stage.whenKeyPressed   = whenKeyPressed;
+  /** Stage-click hat. */              stage.whenStageClicked = whenStageClicked;
+  /** Message hat. */                  stage.whenIReceive     = whenIReceive;
+  /** Send a message. */               stage.broadcast        = broadcast;
+  /** Send a message and wait. */      stage.broadcastAndWait = broadcastAndWait;
+  /** Advance whole frames. */         stage.step             = step;
+  /** Synthetic input. */              stage.input            = input;
+  /** Plain-data game state. */        stage.snapshot         = snapshot;
+  /** Take the stage off the page. */  stage.destroy          = destroy;
+
+  liveStages.add(stage);
+  return stage;
+}
+
+return createStage;
 })();
+
+/* build:exports – scripts/build.js swaps this block for ESM / CommonJS exports */
+if (typeof module === 'object' && module.exports) {
+  module.exports = { createStage };
+} else if (typeof window !== 'undefined') {
+  // classic <script>: one default stage whose API is global, as before
+  window.createStage = createStage;
+  const api = Object.getOwnPropertyDescriptors(createStage({ width: canvaX, height: canvaY, globals: true }));
+  ['step', 'input', 'snapshot', 'destroy'].forEach(k => delete api[k]);
+  Object.defineProperties(window, api);
+}
+/* end build:exports */
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+/** Stand in for navigator.getGamepads() for one test; returns the pad list to edit. */
+function fakeGamepads(t) {
+  const list = [];
+  const had = Object.getOwnPropertyDescriptor(global, 'navigator');
+  Object.defineProperty(global, 'navigator', { value: { getGamepads: () => list }, configurable: true, writable: true });
+  t.after(() => {
+    if (had) Object.defineProperty(global, 'navigator', had);
+    else delete global.navigator;
+  });
+  return list;
+}
+
+/** A standard-mapping pad with nothing pressed. */
+const pad = (index = 0) => ({
+  index, id: 'Test pad', connected: true,
+  buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+  axes: [0, 0, 0, 0]
+});
+
+test('mapped actions follow their keys', async t => {
+  const stage = stageFor(t);
+  stage.mapAction('jump', { keys: ['space', 'w'] });
+  const pressed = [];
+  stage.forever(() => { if (stage.actionJustPressed('jump')) pressed.push(stage.clock.frame); });
+  stage.input.keyDown('w');
+  await stage.step(2);
+  assert.equal(stage.isActionDown('jump'), true);
+  stage.input.keyUp('w');
+  await stage.step(1);
+  assert.equal(stage.isActionDown('jump'), false);
+  assert.equal(pressed.length, 1);
+});
+
+test('a quick tap still counts as a press', async t => {
+  const stage = stageFor(t);
+  stage.mapAction('fire', { keys: ['x'] });
+  let fired = 0;
+  stage.forever(() => { if (stage.actionJustPressed('fire')) fired++; });
+  await stage.step(1);
+  stage.input.pressKey('x');
+  await stage.step(2);
+  assert.equal(fired, 1);
+});
+
+test('gamepads drive actions, buttons and the built-in key state', async t => {
+  const pads = fakeGamepads(t);
+  const stage = stageFor(t);
+  const connected = [], gone = [];
+  stage.whenGamepadConnected(p => connected.push(p.id));
+  stage.whenGamepadDisconnected(i => gone.push(i));
+  stage.mapAction('jump', { gamepad: ['A'] });
+  pads.push(pad());
+  await stage.step(2);
+  assert.deepEqual(connected, ['Test pad']);
+  pads[0].buttons[0].pressed = true;
+  pads[0].axes[0] = -0.9;
+  await stage.step(1);
+  assert.equal(stage.isActionDown('jump'), true);
+  assert.equal(stage.isButtonDown('A'), true);
+  assert.equal(stage.key.left, true, 'the left stick feeds key.left');
+  pads.length = 0;
+  await stage.step(2);
+  assert.deepEqual(gone, [0]);
+  assert.equal(stage.isActionDown('jump'), false);
+  assert.equal(stage.gamepad(0), null);
+});
+
+test('stick values inside the deadzone read as zero', async t => {
+  const pads = fakeGamepads(t);
+  const stage = stageFor(t);
+  pads.push(pad());
+  pads[0].axes = [0.15, -0.5, 0, 0];
+  await stage.step(1);
+  assert.deepEqual(stage.gamepad().axes, [0, -0.5, 0, 0]);
+  stage.setDeadzone(0.6);
+  await stage.step(1);
+  assert.deepEqual(stage.gamepad().axes, [0, 0, 0, 0]);
+});
+
+test('a held virtual button feeds its action', async t => {
+  const stage = stageFor(t);
+  stage.mapAction('jump', { keys: ['space'] });
+  const button = stage.createVirtualButton(600, 400, 40, 'A', 'jump');
+  stage.input.touchStart(1, 600, 410);
+  await stage.step(1);
+  assert.equal(button.pressed, true);
+  assert.equal(stage.isActionDown('jump'), true);
+  stage.input.touchEnd(1, 600, 410);
+  await stage.step(1);
+  assert.equal(stage.isActionDown('jump'), false);
+});
+
+test('dragging the virtual joystick feeds the direction actions', async t => {
+  const stage = stageFor(t);
+  const stick = stage.createVirtualJoystick(100, 380, 70);
+  stage.input.touchStart(1, 100, 380);
+  await stage.step(1);
+  stage.input.touchMove(1, 160, 380);
+  await stage.step(1);
+  assert.ok(stick.value.x > 0.5, `x ${stick.value.x}`);
+  assert.equal(stage.isActionDown('right'), true);
+  assert.equal(stage.key.right, true);
+  stage.input.touchEnd(1, 160, 380);
+  await stage.step(1);
+  assert.deepEqual(stick.value, { x: 0, y: 0 });
+  assert.equal(stage.key.right, false);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor, serveJSON } = require('./helpers');
+
+const imageSize = path => (path === 'sheet.png' ? [96, 64] : [32, 32]);
+
+test('costumes switch by name and index, and wrap around', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'idle.png', 'jump.png');
+  hero.addCostume('duck.png', 'crouch');
+  assert.equal(hero.costumeName, 'idle');
+  hero.switchCostume('crouch');
+  assert.equal(hero.costumeId, 2);
+  hero.nextCostume();
+  assert.equal(hero.costumeName, 'idle');
+  hero.switchCostume(1);
+  assert.equal(hero.costumeName, 'jump');
+});
+
+test('spritesheets slice row by row into named costumes', async t => {
+  const stage = stageFor(t, { imageSize });
+  const hero = stage.createSprite(0, 0);
+  hero.addSpritesheet('sheet.png', 32, 32, { name: 'run', count: 5 });
+  await stage.step(1);
+  assert.deepEqual(hero.costumes.map(c => c.name), ['run-0', 'run-1', 'run-2', 'run-3', 'run-4']);
+});
+
+test('looping and ping-pong animations advance at their fps', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'a.png', 'b.png', 'c.png');
+  hero.addAnimation('walk', ['a', 'b', 'c'], { fps: 10 });
+  hero.addAnimation('bob', ['a', 'b', 'c'], { fps: 10, mode: 'pingpong' });
+  /** Costume half-way through each of the next `n` animation frames. */
+  const frames = async n => {
+    const seen = [];
+    await stage.step(3);
+    for (let i = 0; i < n; i++) { seen.push(hero.costumeName); await stage.step(6); }
+    return seen;
+  };
+  hero.playAnimation('walk');
+  assert.deepEqual(await frames(5), ['a', 'b', 'c', 'a', 'b']);
+  hero.playAnimation('bob');
+  assert.deepEqual(await frames(6), ['a', 'b', 'c', 'b', 'a', 'b']);
+});
+
+test('a "once" animation resolves and calls onFinish at its end', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'a.png', 'b.png', 'c.png');
+  let finished = 0, resumed = false;
+  hero.addAnimation('die', ['a', 'b', 'c'], { fps: 20, mode: 'once', onFinish: () => { finished++; } });
+  stage.startScript(async () => { await hero.playAnimation('die'); resumed = true; });
+  await stage.step(20);
+  assert.equal(finished, 1);
+  assert.equal(resumed, true);
+  assert.equal(hero.costumeName, 'c');
+});
+
+test('switching costume stops the animation and ends its wait', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'a.png', 'b.png');
+  hero.addAnimation('walk', ['a', 'b'], { fps: 10 });
+  let resumed = false;
+  stage.startScript(async () => { await hero.playAnimation('walk'); resumed = true; });
+  await stage.step(3);
+  hero.switchCostume('b');
+  await stage.step(12);
+  assert.equal(resumed, true);
+  assert.equal(hero.costumeName, 'b');
+});
+
+test('atlases add their frames and Aseprite tags as animations', async t => {
+  serveJSON(t, {
+    'sprites/hero.json': {
+      frames: [
+        { filename: 'hero 0', frame: { x: 0, y: 0, w: 16, h: 16 }, duration: 100 },
+        { filename: 'hero 1', frame: { x: 16, y: 0, w: 16, h: 16 }, duration: 100 },
+        { filename: 'hero 2', frame: { x: 32, y: 0, w: 16, h: 16 }, duration: 100 }
+      ],
+      meta: { image: 'hero.png', frameTags: [{ name: 'spin', from: 0, to: 2, direction: 'reverse' }] }
+    }
+  });
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0);
+  await hero.addAtlas('sprites/hero.json');
+  assert.deepEqual(hero.costumes.map(c => c.name), ['hero 0', 'hero 1', 'hero 2']);
+  assert.deepEqual(hero.animations.spin.frames, ['hero 2', 'hero 1', 'hero 0']);
+  assert.equal(hero.animations.spin.fps, 10);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor, serveJSON } = require('./helpers');
+
+/** Collect console.error output for one test. */
+function errorsOf(t) {
+  const error = console.error, errors = [];
+  console.error = msg => errors.push(String(msg));
+  t.after(() => { console.error = error; });
+  return errors;
+}
+
+test('loadAssets resolves to the files by alias or path', async t => {
+  serveJSON(t, { 'levels.json': { count: 3 } });
+  const stage = stageFor(t, { imageSize: () => [48, 24] });
+  const a = await stage.loadAssets({ images: { hero: 'hero.png' }, json: ['levels.json'] });
+  assert.deepEqual([a.hero.width, a.hero.height], [48, 24]);
+  assert.deepEqual(a['levels.json'], { count: 3 });
+  assert.equal(stage.getAsset('hero.png'), a.hero);
+  assert.equal(stage.getAsset('never-asked.png'), null);
+});
+
+test('each file is fetched once however often it is used', async t => {
+  serveJSON(t, { 'data.json': { n: 1 } });
+  const fetch = global.fetch;
+  let calls = 0;
+  global.fetch = path => { calls++; return fetch(path); };
+  const stage = stageFor(t);
+  const [a, b] = await Promise.all([stage.loadAssets({ json: ['data.json'] }), stage.loadAssets({ json: ['data.json'] })]);
+  await stage.loadAssets({ json: ['data.json'] });
+  assert.equal(calls, 1);
+  assert.equal(a['data.json'], b['data.json']);
+});
+
+test('scripts wait for the files requested before the first frame', async t => {
+  let release;
+  const gate = new Promise(r => { release = r; });
+  const old = global.fetch;
+  global.fetch = async () => { await gate; return { ok: true, status: 200, json: async () => ({}) }; };
+  t.after(() => { global.fetch = old; });
+  const stage = stageFor(t);
+  stage.loadAssets({ json: ['big.json'] });
+  let ticks = 0;
+  stage.forever(() => { ticks++; });
+  await stage.step(5);
+  assert.equal(ticks, 0);
+  release();
+  await stage.step(3);
+  assert.ok(ticks > 0);
+});
+
+test('missing files are reported with whoever asked for them', async t => {
+  serveJSON(t, {});
+  const errors = errorsOf(t);
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  hero.name = 'Hero';
+  const a = await stage.loadAssets({ json: { level: 'missing.json' } });
+  assert.equal(a.level, null);
+  assert.equal(stage.getAsset('missing.json'), null);
+  await hero.addAtlas('missing.json');
+  assert.deepEqual(errors, [
+    '[p5sprite] could not load json "missing.json" (requested by loadAssets)',
+    '[p5sprite] could not load json "missing.json" (requested by sprite "Hero")'
+  ]);
+});
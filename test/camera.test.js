@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('screen and world coordinates map through zoom and rotation', async t => {
+  const stage = stageFor(t);
+  assert.deepEqual(stage.screenToWorld(10, 20), { x: 10, y: 20 });
+  stage.camera.moveTo(1000, 500);
+  stage.camera.zoom = 2;
+  const w = stage.screenToWorld(420, 240);
+  assert.ok(near(w.x, 1050) && near(w.y, 500), `world ${w.x},${w.y}`);
+  stage.camera.rotation = 30;
+  const s = stage.worldToScreen(1234, 567);
+  const back = stage.screenToWorld(s.x, s.y);
+  assert.ok(near(back.x, 1234) && near(back.y, 567), `round trip ${back.x},${back.y}`);
+});
+
+test('follow tracks a sprite, eased by lerp', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(1000, 240, 'hero.png');
+  stage.camera.follow(hero, 0.5);
+  await stage.step(1);
+  assert.ok(stage.camera.x > 320 && stage.camera.x < 1000, `x ${stage.camera.x}`);
+  await stage.step(30);
+  assert.ok(Math.abs(stage.camera.x - 1000) < 0.01);
+  stage.camera.follow(hero, 1);
+  hero.x = 2000;
+  await stage.step(1);
+  assert.equal(stage.camera.x, 2000);
+});
+
+test('bounds keep the view inside the world', async t => {
+  const stage = stageFor(t);
+  stage.camera.setBounds(0, 0, 1600, 480);
+  const hero = stage.createSprite(1590, 240, 'hero.png');
+  stage.camera.follow(hero, 1);
+  await stage.step(1);
+  assert.equal(stage.camera.x, 1600 - 320);
+  hero.x = 10;
+  await stage.step(1);
+  assert.equal(stage.camera.x, 320);
+});
+
+test('shake fades out and leaves the view where it was', async t => {
+  const stage = stageFor(t);
+  stage.camera.shake(10, 0.2);
+  let moved = false;
+  stage.forever(() => { if (stage.screenToWorld(320, 240).x !== 320) moved = true; });
+  await stage.step(5);
+  assert.equal(moved, true);
+  await stage.step(20);
+  assert.deepEqual(stage.screenToWorld(320, 240), { x: 320, y: 240 });
+});
+
+test('clicks and the mouse see the world through the camera', async t => {
+  const stage = stageFor(t);
+  const coin = stage.createSprite(1000, 240, 'coin.png');
+  const hud = stage.createSprite(40, 40, 'heart.png');
+  hud.fixed = true;
+  const log = [];
+  coin.whenClicked(() => log.push('coin'));
+  hud.whenClicked(() => log.push('hud'));
+  stage.camera.moveTo(1000, 240);
+  await stage.step(1);
+  stage.input.click(320, 240);
+  stage.input.click(40, 40);
+  await stage.step(1);
+  assert.deepEqual(log, ['coin', 'hud']);
+  assert.deepEqual([stage.mouse.worldX, stage.mouse.worldY], [720, 40]);
+});
+
+test('changing scene resets the camera', async t => {
+  const stage = stageFor(t);
+  stage.createScene('level');
+  stage.camera.moveTo(900, 900);
+  stage.camera.zoom = 3;
+  stage.goToScene('level');
+  assert.deepEqual([stage.camera.x, stage.camera.y, stage.camera.zoom], [320, 240, 1]);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+const close = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 1e-9, `${msg}: ${actual} ≠ ${expected}`);
+
+test('runs one fixed update per 1/60 s frame', async t => {
+  const stage = stageFor(t);
+  await stage.step(60);
+  assert.equal(stage.clock.frame, 60);
+  close(stage.clock.elapsed, 1, 'elapsed');
+  close(stage.clock.deltaTime, 1 / 60, 'deltaTime');
+});
+
+test('setFixedStep changes the update length', async t => {
+  const stage = stageFor(t);
+  stage.setFixedStep(1 / 30);
+  await stage.step(15);
+  assert.equal(stage.clock.frame, 15);
+  close(stage.clock.elapsed, 0.5, 'elapsed');
+  close(stage.clock.deltaTime, 1 / 30, 'deltaTime');
+});
+
+test('timeScale speeds up and slows down game time', async t => {
+  const stage = stageFor(t);
+  await stage.step(1);
+  stage.clock.timeScale = 0.5;
+  let from = stage.clock.elapsed;
+  await stage.step(6);
+  close(stage.clock.elapsed - from, 0.05, 'half speed');
+  stage.clock.timeScale = 2;
+  from = stage.clock.elapsed;
+  const frames = stage.clock.frame;
+  await stage.step(6);
+  close(stage.clock.elapsed - from, 0.2, 'double speed');
+  assert.equal(stage.clock.frame - frames, 12, 'two updates per frame');
+});
+
+test('slow motion makes waits take more frames', async t => {
+  const stage = stageFor(t);
+  stage.clock.timeScale = 0.5;
+  let done = false, frames = 0;
+  stage.startScript(async () => { await stage.wait(0.25); done = true; });
+  while (!done && frames < 100) { await stage.step(1); frames++; }
+  assert.ok(frames >= 30 && frames <= 33, `waited ${frames} frames`);
+});
+
+test('pause freezes game time and scripts until resume', async t => {
+  const stage = stageFor(t);
+  let ticks = 0;
+  stage.forever(() => { ticks++; });
+  await stage.step(5);
+  stage.pause();
+  const [elapsed, before] = [stage.clock.elapsed, ticks];
+  await stage.step(10);
+  assert.equal(stage.clock.paused, true);
+  assert.equal(stage.clock.elapsed, elapsed);
+  assert.equal(ticks, before);
+  stage.resume();
+  await stage.step(5);
+  assert.ok(ticks > before);
+  assert.ok(stage.clock.elapsed > elapsed);
+});
+
+test('every() ticks at its interval and once per step for 0', async t => {
+  const stage = stageFor(t);
+  let slow = 0, fast = 0;
+  stage.every(0.25, () => { slow++; });
+  const timer = stage.every(0, () => { fast++; });
+  await stage.step(61);
+  assert.equal(slow, 4);
+  assert.ok(fast >= 59 && fast <= 61, `every(0) ran ${fast} times`);
+  timer.stop();
+});
+
+test('after() runs once and can be cancelled', async t => {
+  const stage = stageFor(t);
+  let ran = 0, cancelled = 0;
+  stage.after(0.1, () => { ran++; });
+  stage.after(0.1, () => { cancelled++; }).stop();
+  await stage.step(20);
+  assert.equal(ran, 1);
+  assert.equal(cancelled, 0);
+});
+
+test('timers follow game time, so pause holds them', async t => {
+  const stage = stageFor(t);
+  let ran = false;
+  stage.after(0.2, () => { ran = true; });
+  await stage.step(6);
+  stage.pause();
+  await stage.step(30);
+  assert.equal(ran, false);
+  stage.resume();
+  await stage.step(10);
+  assert.equal(ran, true);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+test('a clone copies its parent and sits just behind it', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 50, 'hero.png');
+  hero.direction = 45;
+  hero.inventory = ['sword'];
+  const clone = hero.createClone();
+  assert.equal(clone.isClone, true);
+  assert.equal(hero.isClone, false);
+  assert.deepEqual([clone.x, clone.y, clone.direction], [100, 50, 45]);
+  assert.deepEqual(clone.inventory, ['sword']);
+  clone.inventory.push('shield');
+  assert.deepEqual(hero.inventory, ['sword'], 'custom fields are deep-copied');
+  const list = stage.currentScene().sprites;
+  assert.equal(list.indexOf(clone), list.indexOf(hero) - 1);
+});
+
+test('whenIStartAsAClone runs in each new clone, clones of clones too', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  const started = [];
+  hero.whenIStartAsAClone(function (c) { started.push(this === c ? 'self' : 'other'); this.x += 10; });
+  const a = hero.clone();
+  await stage.step(1);
+  const b = a.clone();
+  await stage.step(1);
+  assert.deepEqual(started, ['self', 'self']);
+  assert.equal(a.x, 10);
+  assert.equal(b.x, 20);
+  assert.equal(hero.x, 0);
+});
+
+test('deleteThisClone removes clones only, and stops their scripts', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  let ticks = 0;
+  hero.whenIStartAsAClone(function* () { for (;;) { ticks++; yield; } });
+  const clone = hero.clone();
+  await stage.step(3);
+  assert.equal(ticks, 3);
+  clone.deleteThisClone();
+  hero.deleteThisClone();
+  await stage.step(3);
+  assert.equal(ticks, 3);
+  assert.deepEqual(stage.currentScene().sprites, [hero]);
+});
+
+test('remove takes sprites and labels off the stage', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  const label = stage.createTextBox(10, 10, 'Score');
+  let ticks = 0;
+  hero.whenIReceive('go', function* () { for (;;) { ticks++; yield; } });
+  stage.broadcast('go');
+  await stage.step(2);
+  hero.remove();
+  label.remove();
+  const before = ticks;
+  await stage.step(2);
+  assert.equal(ticks, before);
+  assert.equal(stage.snapshot().sprites.length, 0);
+  assert.equal(stage.snapshot().textBoxes.length, 0);
+});
+
+test('the clone limit caps live clones and frees up on removal', async t => {
+  const stage = stageFor(t);
+  const warn = console.warn, warnings = [];
+  console.warn = msg => warnings.push(msg);
+  t.after(() => { console.warn = warn; });
+  stage.setCloneLimit(3);
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  const clones = [hero.clone(), hero.clone(), hero.clone()];
+  assert.ok(clones.every(Boolean));
+  assert.equal(hero.clone(), null);
+  assert.equal(hero.clone(), null);
+  assert.equal(warnings.length, 1, 'warns once');
+  clones[0].remove();
+  clones[0].remove();
+  assert.ok(hero.clone(), 'room for one more');
+  assert.equal(hero.clone(), null, 'removing twice frees one slot');
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+// headless images are 32 × 32 unless imageSize says otherwise
+const imageSize = path => (path === 'bar.png' ? [80, 10] : [32, 32]);
+
+test('touched() follows the collision shapes', async t => {
+  const stage = stageFor(t);
+  const a = stage.createSprite(100, 100, 'a.png'), b = stage.createSprite(140, 100, 'b.png');
+  await stage.step(1);
+  assert.equal(a.touched(b), false);
+  b.moveTo(125, 100);
+  assert.equal(a.touched(b), true);
+  b.hidden = true;
+  assert.equal(a.touched(b), false, 'hidden sprites never touch');
+});
+
+test('rect and circle colliders differ at the corners', async t => {
+  const stage = stageFor(t);
+  const a = stage.createSprite(100, 100, 'a.png'), b = stage.createSprite(130, 130, 'b.png');
+  await stage.step(1);
+  a.setCollisionShape('rect'); b.setCollisionShape('rect');
+  assert.equal(a.touched(b), true);
+  a.setCollisionShape('circle'); b.setCollisionShape('circle');
+  assert.equal(a.touched(b), false);
+  a.setCollisionShape('circle', 30);
+  assert.equal(a.touched(b), true, 'an explicit radius wins');
+});
+
+test('rect colliders turn with the sprite', async t => {
+  const stage = stageFor(t, { imageSize });
+  const bar = stage.createSprite(200, 200, 'bar.png');
+  bar.setCollisionShape('rect');
+  await stage.step(1);
+  bar.direction = 0;
+  assert.equal(bar.touchingPoint(235, 200), true);
+  assert.equal(bar.touchingPoint(200, 235), false);
+  bar.direction = 90;
+  assert.equal(bar.touchingPoint(235, 200), false);
+  assert.equal(bar.touchingPoint(200, 235), true);
+});
+
+test('collide() reports the vector that separates the sprites', async t => {
+  const stage = stageFor(t);
+  const a = stage.createSprite(100, 100, 'a.png'), b = stage.createSprite(120, 100, 'b.png');
+  a.setCollisionShape('rect'); b.setCollisionShape('rect');
+  await stage.step(1);
+  const hit = a.collide(b);
+  assert.ok(hit);
+  assert.ok(Math.abs(hit.x + 12) < 1e-9 && Math.abs(hit.y) < 1e-9, `mtv ${hit.x},${hit.y}`);
+  assert.equal(a.pushOutOf(b), true);
+  assert.equal(a.touched(b), false);
+});
+
+test('opaque costumes collide by mask like their boxes', async t => {
+  const stage = stageFor(t);
+  const a = stage.createSprite(100, 100, 'a.png'), b = stage.createSprite(125, 100, 'b.png');
+  a.direction = b.direction = 0;
+  a.setCollisionShape('mask'); b.setCollisionShape('mask');
+  await stage.step(1);
+  assert.equal(a.touched(b), true);
+  b.moveTo(140, 100);
+  assert.equal(a.touched(b), false);
+});
+
+test('touchingEdge and bounceOffEdge keep sprites on the stage', async t => {
+  const stage = stageFor(t);
+  const ball = stage.createSprite(320, 240, 'ball.png');
+  ball.direction = 0;
+  await stage.step(1);
+  assert.equal(ball.touchingEdge(), null);
+  ball.moveTo(630, 240);
+  assert.equal(ball.touchingEdge(), 'right');
+  assert.equal(ball.bounceOffEdge(), 'right');
+  assert.equal(ball.direction, 180);
+  assert.equal(ball.x, 640 - 16);
+  assert.equal(ball.touchingEdge(), null);
+});
+
+test('sprites still loading have no shape', async t => {
+  const stage = stageFor(t);
+  const a = stage.createSprite(100, 100, 'a.png'), b = stage.createSprite(100, 100, 'b.png');
+  assert.equal(a.touched(b), false);
+  assert.equal(a.containsPoint(100, 100), false);
+  await stage.step(1);
+  assert.equal(a.touched(b), true);
+  assert.equal(a.containsPoint(100, 100), true);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+/** Count the times `sprite`'s costume is filtered (each bake reads its pixels once). */
+function countBakes(sprite) {
+  const img = sprite.images[0], loadPixels = img.loadPixels;
+  const bakes = { count: 0 };
+  img.loadPixels = function () { bakes.count++; return loadPixels.apply(this, arguments); };
+  return bakes;
+}
+
+test('setEffect clamps ghost and brightness and ignores unknown effects', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  hero.setEffect('ghost', 150);
+  hero.setEffect('brightness', -300);
+  hero.setEffect('color', 500);
+  assert.deepEqual(hero.effects, { ghost: 100, brightness: -100, color: 500 });
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  hero.setEffect('sparkle', 10);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal('sparkle' in hero.effects, false);
+});
+
+test('changeEffectBy adds up and clearEffects removes effects and the tint', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  hero.changeEffectBy('color', 25);
+  hero.changeEffectBy('color', 25);
+  hero.changeEffectBy('ghost', -10);
+  assert.deepEqual(hero.effects, { color: 50, ghost: 0 });
+  hero.setTint('#f008');
+  assert.equal(hero.tintColor, '#f008');
+  hero.clearEffects();
+  assert.deepEqual(hero.effects, {});
+  assert.equal(hero.tintColor, null);
+});
+
+test('an effect is filtered once and reused while its value stays the same', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  await stage.step(1);
+  const bakes = countBakes(hero);
+  await stage.step(3);
+  assert.equal(bakes.count, 0, 'no effects, nothing to filter');
+  hero.setEffect('whirl', 90);
+  await stage.step(10);
+  assert.equal(bakes.count, 1);
+  hero.setTint('#0f0');
+  await stage.step(2);
+  assert.equal(bakes.count, 2, 'the tint is part of the filtered version');
+});
+
+test('an animated colour effect reuses a few stepped versions', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  await stage.step(1);
+  const bakes = countBakes(hero);
+  stage.startScript(async () => { await stage.forever(() => hero.changeEffectBy('color', 1)); });
+  await stage.step(400);   // two full cycles
+  assert.equal(bakes.count, 24, 'a cycle has 25 steps, one of them the plain costume; the second cycle bakes none');
+});
+
+test('only a few new versions are filtered per frame', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  await stage.step(1);
+  for (let i = 1; i <= 9; i++) hero.clone().setEffect('fisheye', i * 10);
+  const bakes = countBakes(hero);
+  await stage.step(1);
+  assert.equal(bakes.count, 4);
+  await stage.step(1);
+  assert.equal(bakes.count, 8);
+  await stage.step(1);
+  assert.equal(bakes.count, 9);
+  await stage.step(3);
+  assert.equal(bakes.count, 9, 'every version is cached');
+});
+
+test('setRotationStyle accepts Scratch names', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  hero.setRotationStyle('left-right');
+  assert.equal(hero.rotationStyle, 'flipped');
+  hero.setRotationStyle("don't rotate");
+  assert.equal(hero.rotationStyle, 'none');
+  hero.setRotationStyle('all around');
+  assert.equal(hero.rotationStyle, 'free');
+  hero.setRotationStyle('none');
+  assert.equal(hero.rotationStyle, 'none');
+});
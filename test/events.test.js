@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+test('key hats match named keys, characters and "any"', async t => {
+  const stage = stageFor(t);
+  const log = [];
+  stage.whenKeyPressed('up', k => log.push(`up ${k}`));
+  stage.whenKeyPressed('a', k => log.push(`a ${k}`));
+  stage.whenKeyPressed('any', k => log.push(`any ${k}`));
+  stage.input.pressKey('up');
+  stage.input.pressKey('A');
+  await stage.step(1);
+  assert.deepEqual(log.sort(), ['a a', 'any a', 'any up', 'up up']);
+});
+
+test('only the topmost sprite under the pointer gets the click', async t => {
+  const stage = stageFor(t);
+  const back = stage.createSprite(100, 100, 'back.png'), front = stage.createSprite(110, 100, 'front.png');
+  front.layer = 1;
+  const log = [];
+  back.whenClicked(function (s) { log.push(['back', this === back, s === back]); });
+  front.whenClicked(function (s) { log.push(['front', this === front, s === front]); });
+  await stage.step(1);
+  stage.input.click(105, 100);
+  await stage.step(1);
+  stage.input.click(90, 100);
+  await stage.step(1);
+  assert.deepEqual(log, [['front', true, true], ['back', true, true]]);
+});
+
+test('hidden sprites let clicks through to the stage', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  const log = [];
+  hero.whenClicked(() => log.push('hero'));
+  stage.whenStageClicked((x, y) => log.push(`stage ${x},${y}`));
+  hero.hidden = true;
+  await stage.step(1);
+  stage.input.click(100, 100);
+  await stage.step(1);
+  assert.deepEqual(log, ['stage 100,100']);
+});
+
+test('broadcasts are delivered on the next frame, once per handler', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  const got = [];
+  stage.whenIReceive('ping', msg => got.push(`stage ${msg}`));
+  hero.whenIReceive('ping', function () { got.push(this === hero ? 'hero' : 'other'); });
+  hero.whenIReceive('pong', () => got.push('pong'));
+  stage.broadcast('ping');
+  assert.deepEqual(got, []);
+  await stage.step(1);
+  assert.deepEqual(got.sort(), ['hero', 'stage ping']);
+  await stage.step(2);
+  assert.equal(got.length, 2);
+});
@@ -0,0 +1,59 @@
+/* Shared set-up for the headless test suites (node --test). */
+const { createStage } = require('../src/p5sprite.js');
+
+/**
+ * A headless stage that is destroyed when the test ends.
+ * @param {import('node:test').TestContext} t
+ * @param {object} [opts] Extra createStage options
+ */
+function stageFor(t, opts = {}) {
+  const stage = createStage({ headless: true, width: 640, height: 480, ...opts });
+  t.after(() => stage.destroy());
+  return stage;
+}
+
+/** In-memory stand-in for the browser's localStorage. */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: k => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => { items.set(k, String(v)); },
+    removeItem: k => { items.delete(k); },
+    keys: () => [...items.keys()]
+  };
+}
+
+/**
+ * Swap in a fresh localStorage and collect console warnings for one test.
+ * @param {import('node:test').TestContext} t
+ * @returns {{storage: object, warnings: string[]}}
+ */
+function withStorage(t) {
+  const storage = memoryStorage(), warn = console.warn, had = 'localStorage' in global;
+  const old = global.localStorage, warnings = [];
+  global.localStorage = storage;
+  console.warn = msg => warnings.push(String(msg));
+  t.after(() => {
+    console.warn = warn;
+    if (had) global.localStorage = old;
+    else delete global.localStorage;
+  });
+  return { storage, warnings };
+}
+
+/**
+ * Answer `fetch` from a table of JSON files for one test; other paths 404.
+ * @param {import('node:test').TestContext} t
+ * @param {Object<string, object>} files Path → parsed JSON
+ */
+function serveJSON(t, files) {
+  const old = global.fetch;
+  global.fetch = async path => ({
+    ok: path in files,
+    status: path in files ? 200 : 404,
+    json: async () => JSON.parse(JSON.stringify(files[path]))
+  });
+  t.after(() => { global.fetch = old; });
+}
+
+module.exports = { createStage, stageFor, memoryStorage, withStorage, serveJSON };
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+test('held keys drive per-frame code', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  stage.forever(() => { if (stage.isKeyDown('right')) hero.x += 2; });
+  await stage.step(1);
+  stage.input.keyDown('right');
+  await stage.step(10);
+  stage.input.keyUp('right');
+  await stage.step(5);
+  assert.equal(hero.x, 120);
+  assert.equal(stage.key.right, false);
+});
+
+test('keyJustPressed and keyJustReleased are true for exactly one update', async t => {
+  const stage = stageFor(t);
+  const pressed = [], released = [];
+  stage.forever(() => {
+    pressed.push(stage.keyJustPressed('a'));
+    released.push(stage.keyJustReleased(65));
+  });
+  await stage.step(1);
+  stage.input.keyDown('a');
+  await stage.step(3);
+  assert.equal(stage.isKeyDown('a'), true);
+  assert.equal(stage.isKeyDown(65), true, 'by keyCode too');
+  stage.input.keyUp('a');
+  await stage.step(3);
+  assert.deepEqual(pressed, [false, true, false, false, false, false, false]);
+  assert.deepEqual(released, [false, false, false, false, true, false, false]);
+});
+
+test('whenKeyPressed hats run for a quick tap', async t => {
+  const stage = stageFor(t);
+  let jumps = 0;
+  stage.whenKeyPressed('space', () => { jumps++; });
+  stage.input.pressKey('space');
+  await stage.step(2);
+  stage.input.pressKey('space');
+  await stage.step(2);
+  assert.equal(jumps, 2);
+});
+
+test('mouse state tracks moves, buttons and the wheel', async t => {
+  const stage = stageFor(t);
+  stage.input.mouseMove(50, 60);
+  await stage.step(1);
+  assert.deepEqual([stage.mouse.x, stage.mouse.y], [50, 60]);
+  stage.input.mouseDown(50, 60, 2);
+  await stage.step(1);
+  assert.equal(stage.mouse.right, true);
+  assert.equal(stage.mouse.down, true);
+  stage.input.mouseUp(70, 80, 2);
+  stage.input.wheel(120);
+  await stage.step(1);
+  assert.equal(stage.mouse.down, false);
+  assert.equal(stage.mouse.wheel, 120);
+  await stage.step(1);
+  assert.equal(stage.mouse.wheel, 0);
+});
+
+test('touches are listed as pointers', async t => {
+  const stage = stageFor(t);
+  stage.input.touchStart(1, 10, 20);
+  stage.input.touchStart(2, 300, 200);
+  await stage.step(1);
+  assert.deepEqual(stage.pointers.map(p => p.id), [1, 2]);
+  stage.input.touchMove(2, 310, 210);
+  stage.input.touchEnd(1, 10, 20);
+  await stage.step(1);
+  assert.equal(stage.pointers.length, 1);
+  assert.deepEqual([stage.pointers[0].x, stage.pointers[0].y], [310, 210]);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+test('setStyle sets several label fields at once', async t => {
+  const stage = stageFor(t);
+  const label = stage.createTextBox(320, 40, 'Level 1');
+  assert.equal(label.setStyle({ maxWidth: 200, align: 'left', background: '#000a', padding: 12 }), label);
+  assert.deepEqual([label.maxWidth, label.align, label.background, label.padding], [200, 'left', '#000a', 12]);
+  assert.equal(label.valign, 'middle', 'other fields keep their defaults');
+});
+
+test('the typewriter reveals the text and resolves when it is all shown', async t => {
+  const stage = stageFor(t);
+  const label = stage.createTextBox(20, 20, 'Hello there');   // 11 characters
+  let done = false;
+  stage.startScript(async () => { await label.typewriter(60); done = true; });
+  await stage.step(2);
+  assert.equal(label.typing, true);
+  await stage.step(12);
+  assert.equal(label.typing, false);
+  assert.equal(done, true);
+  label.setText('Again');
+  assert.equal(label.typing, true, 'new text types out again');
+  label.finishTyping();
+  assert.equal(label.typing, false);
+});
+
+test('say and think show a bubble until replaced or cleared', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  hero.say('Hello!');
+  assert.equal(stage.snapshot().sprites[0].bubble, 'Hello!');
+  hero.think('Hmm…');
+  assert.equal(stage.snapshot().sprites[0].bubble, 'Hmm…');
+  hero.say('');
+  assert.equal(stage.snapshot().sprites[0].bubble, null);
+});
+
+test('a timed bubble goes after its time, unless replaced first', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  let done = false;
+  stage.startScript(async () => { await hero.say('Look out!', 0.1); done = true; });
+  await stage.step(3);
+  assert.equal(stage.snapshot().sprites[0].bubble, 'Look out!');
+  await stage.step(6);
+  assert.equal(done, true);
+  assert.equal(stage.snapshot().sprites[0].bubble, null);
+  hero.say('Short', 0.1);
+  hero.say('Stays');
+  await stage.step(10);
+  assert.equal(stage.snapshot().sprites[0].bubble, 'Stays');
+});
+
+test('a script still owns its waits after awaiting say', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  let lines = 0;
+  const chatter = stage.startScript(async () => {
+    for (;;) {
+      await hero.say('Hi', 0.05);
+      lines++;
+      await stage.wait(0.05);
+    }
+  });
+  await stage.step(20);
+  assert.ok(lines > 0);
+  stage.stop(chatter);
+  const before = lines;
+  await stage.step(20);
+  assert.equal(chatter.running, false);
+  assert.equal(lines, before);
+});
+
+test('clones start without their parent\'s bubble', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  hero.say('I am the original');
+  const clone = hero.clone();
+  const snap = stage.snapshot().sprites;
+  assert.equal(snap.find(s => s.isClone).bubble, null);
+  assert.equal(snap.find(s => !s.isClone).bubble, 'I am the original');
+  assert.ok(clone);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+test('a burst emits at once and its particles die after their lifetime', async t => {
+  const stage = stageFor(t);
+  const boom = stage.createEmitter(100, 100, { rate: 0, burst: 40, lifetime: 0.5 });
+  assert.equal(boom.count, 40);
+  await stage.step(20);
+  assert.equal(boom.count, 40);
+  await stage.step(15);
+  assert.equal(boom.count, 0);
+  assert.ok(stage.currentScene().emitters.includes(boom), 'kept without autoRemove');
+});
+
+test('rate emits steadily until the duration is up', async t => {
+  const stage = stageFor(t);
+  const fountain = stage.createEmitter(100, 100, { rate: 30, duration: 1, lifetime: 10 });
+  await stage.step(30);
+  assert.ok(Math.abs(fountain.count - 15) <= 1, `about 15 after half a second, got ${fountain.count}`);
+  await stage.step(60);
+  assert.equal(fountain.emitting, false);
+  assert.ok(Math.abs(fountain.count - 30) <= 1, `about 30 in all, got ${fountain.count}`);
+  fountain.start();
+  await stage.step(30);
+  assert.ok(fountain.count > 40, 'start restarts the duration');
+});
+
+test('stop ends emission and remove takes the emitter off its scene', async t => {
+  const stage = stageFor(t);
+  const smoke = stage.createEmitter(100, 100, { rate: 60, lifetime: 10 });
+  await stage.step(10);
+  smoke.stop();
+  const n = smoke.count;
+  await stage.step(10);
+  assert.equal(smoke.count, n);
+  smoke.remove();
+  assert.equal(smoke.count, 0);
+  assert.equal(stage.currentScene().emitters.includes(smoke), false);
+});
+
+test('autoRemove drops a finished emitter', async t => {
+  const stage = stageFor(t);
+  const boom = stage.createEmitter(100, 100, { rate: 0, burst: 10, lifetime: 0.2, autoRemove: true });
+  await stage.step(2);
+  assert.ok(stage.currentScene().emitters.includes(boom));
+  await stage.step(15);
+  assert.equal(stage.currentScene().emitters.includes(boom), false);
+});
+
+test('max caps one emitter and setParticleLimit caps them all', async t => {
+  const stage = stageFor(t);
+  const a = stage.createEmitter(100, 100, { rate: 0, burst: 50, max: 20 });
+  assert.equal(a.count, 20);
+  stage.setParticleLimit(30);
+  const b = stage.createEmitter(100, 100, { rate: 0, burst: 50 });
+  assert.equal(b.count, 10);
+  a.remove();
+  b.burst(50);
+  assert.equal(b.count, 30, 'removed particles free up the limit');
+});
+
+test('an attached emitter follows its sprite and stops when it is removed', async t => {
+  const stage = stageFor(t);
+  const ship = stage.createSprite(100, 100, 'ship.png');
+  const trail = stage.createEmitter(0, 0, { lifetime: 10 }).attachTo(ship, -20, 0);
+  assert.deepEqual([trail.x, trail.y], [80, 100]);
+  ship.moveTo(200, 150);
+  await stage.step(1);
+  assert.deepEqual([trail.x, trail.y], [180, 150]);
+  ship.remove();
+  await stage.step(1);
+  assert.equal(trail.sprite, null);
+  assert.equal(trail.emitting, false);
+});
+
+test('emitters belong to the scene they were made in', async t => {
+  const stage = stageFor(t);
+  const rain = stage.createEmitter(100, 0, { rate: 60, lifetime: 10 });
+  stage.createScene('menu');
+  stage.goToScene('menu');
+  const n = rain.count;
+  await stage.step(10);
+  assert.equal(rain.count, n, 'paused while its scene is not shown');
+  stage.goToScene('main');
+  await stage.step(10);
+  assert.ok(rain.count > n);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+// headless images are 32 × 32 unless imageSize says otherwise
+const sizes = { 'ground.png': [400, 32], 'wall.png': [32, 200] };
+const imageSize = path => sizes[path] || [32, 32];
+
+test('a dynamic body falls and comes to rest on a static floor', async t => {
+  const stage = stageFor(t, { imageSize });
+  stage.setGravity(0, 1500);
+  const hero = stage.createSprite(320, 100, 'hero.png');
+  const ground = stage.createSprite(320, 400, 'ground.png');
+  ground.direction = 0;
+  hero.setBody('dynamic', { friction: 8 });
+  ground.setBody('static');
+  const hits = [];
+  hero.onCollide(other => hits.push(other));
+  await stage.step(120);
+  assert.equal(hero.y, 400 - 16 - 16);
+  assert.equal(hero.isOnGround(), true);
+  assert.equal(hero.vy, 0);
+  assert.ok(hits.includes(ground));
+  assert.equal(ground.y, 400, 'static bodies never move');
+});
+
+test('bodies default to rect colliders but keep an explicit shape', async t => {
+  const stage = stageFor(t);
+  const box = stage.createSprite(0, 0, 'box.png').setBody('static');
+  const ball = stage.createSprite(0, 0, 'ball.png');
+  ball.setCollisionShape('circle');
+  ball.setBody('dynamic');
+  assert.equal(box.collisionShape, 'rect');
+  assert.equal(ball.collisionShape, 'circle');
+});
+
+test('a kinematic body pushes dynamic bodies but is not pushed', async t => {
+  const stage = stageFor(t, { imageSize });
+  const wall = stage.createSprite(100, 240, 'wall.png');
+  const crate = stage.createSprite(160, 240, 'crate.png');
+  wall.direction = 0;
+  wall.setBody('kinematic', { vx: 120 });
+  crate.setBody('dynamic');
+  await stage.step(60);
+  assert.ok(Math.abs(wall.x - 220) < 1e-6, `wall at ${wall.x}`);
+  assert.ok(crate.x >= wall.x + 32 - 1e-6, `crate at ${crate.x} is pushed ahead`);
+});
+
+test('equal bodies exchange velocity in a perfectly bouncy collision', async t => {
+  const stage = stageFor(t);
+  const a = stage.createSprite(100, 240, 'a.png'), b = stage.createSprite(300, 240, 'b.png');
+  a.setBody('dynamic', { bounce: 1, vx: 300 });
+  b.setBody('dynamic', { bounce: 1 });
+  await stage.step(60);
+  assert.ok(Math.abs(a.vx) < 1, `a.vx ${a.vx}`);
+  assert.ok(Math.abs(b.vx - 300) < 1, `b.vx ${b.vx}`);
+});
+
+test('dynamic bodies bounce off the stage edges', async t => {
+  const stage = stageFor(t);
+  const ball = stage.createSprite(100, 240, 'ball.png');
+  ball.setBody('dynamic', { bounce: 0.5, vx: -600 });
+  await stage.step(30);
+  assert.ok(ball.vx > 0, `vx ${ball.vx}`);
+  assert.ok(ball.x >= 16, `x ${ball.x}`);
+});
+
+test('impulses change velocity by impulse / mass', async t => {
+  const stage = stageFor(t);
+  const light = stage.createSprite(100, 100, 'a.png').setBody('dynamic', { mass: 1 });
+  const heavy = stage.createSprite(300, 100, 'b.png').setBody('dynamic', { mass: 4 });
+  light.applyImpulse(200, 0);
+  heavy.applyImpulse(200, 0);
+  assert.equal(light.vx, 200);
+  assert.equal(heavy.vx, 50);
+});
+
+test('sprites without a body ignore gravity', async t => {
+  const stage = stageFor(t);
+  stage.setGravity(0, 1500);
+  const cloud = stage.createSprite(100, 100, 'cloud.png');
+  const rock = stage.createSprite(300, 100, 'rock.png').setBody('dynamic');
+  await stage.step(10);
+  assert.equal(cloud.y, 100);
+  assert.ok(rock.y > 100);
+  rock.setBody(null);
+  const y = rock.y;
+  await stage.step(10);
+  assert.equal(rock.y, y, 'setBody(null) removes the body');
+});
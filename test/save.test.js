@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor, withStorage } = require('./helpers');
+
+/** A small game: a score, an inventory and a hero in a 'level' scene. */
+async function game(t) {
+  const stage = stageFor(t);
+  const score = stage.createVariable('score', 0);
+  const items = stage.createList('items');
+  stage.createScene('level', () => {
+    stage.createSprite(100, 100, 'hero.png');
+    stage.createSprite(200, 100, 'coin.png');
+    stage.createSprite(300, 100, 'coin.png');
+  });
+  stage.goToScene('level');
+  await stage.step(2);
+  const [hero, coin1, coin2] = stage.currentScene().sprites;
+  return { stage, score, items, hero, coin1, coin2 };
+}
+
+test('saveGame / loadGame round-trip variables, lists, sprites and scene', async t => {
+  withStorage(t);
+  const g = await game(t);
+  g.score.value = 42;
+  g.items.add('key');
+  g.hero.moveTo(150, 250);
+  g.coin2.hidden = true;
+  const data = g.stage.saveGame('slot1');
+  assert.equal(data.format, 'p5sprite-save');
+  assert.equal(data.scene, 'level');
+  assert.equal(g.stage.hasSave('slot1'), true);
+  assert.equal(g.stage.hasSave('slot2'), false);
+
+  g.score.value = 0;
+  g.items.value = [];
+  g.hero.moveTo(0, 0);
+  g.coin2.hidden = false;
+  assert.equal(g.stage.loadGame('slot1'), true);
+  assert.equal(g.score.value, 42);
+  assert.deepEqual(g.items.value, ['key']);
+  assert.deepEqual([g.hero.x, g.hero.y], [150, 250]);
+  assert.equal(g.coin1.hidden, false);
+  assert.equal(g.coin2.hidden, true);
+});
+
+test('clones are not saved and are removed on load', async t => {
+  withStorage(t);
+  const g = await game(t);
+  const saved = g.stage.saveGame();
+  assert.equal(saved.scenes.level.sprites.length, 3);
+  g.coin1.clone();
+  assert.equal(g.stage.currentScene().sprites.length, 4);
+  g.stage.loadGame();
+  assert.equal(g.stage.currentScene().sprites.length, 3);
+});
+
+test('loadGame switches back to the saved scene', async t => {
+  withStorage(t);
+  const g = await game(t);
+  const data = g.stage.saveGame();
+  g.stage.createScene('menu', () => {});
+  g.stage.goToScene('menu');
+  await g.stage.step(1);
+  g.stage.loadGame(data);
+  assert.equal(g.stage.currentScene().name, 'level');
+});
+
+test('saves without a version load as version 1', async t => {
+  withStorage(t);
+  const g = await game(t);
+  const data = g.stage.saveGame();
+  delete data.version;
+  data.variables.score = 7;
+  assert.equal(g.stage.loadGame(data), true);
+  assert.equal(g.score.value, 7);
+});
+
+test('saves from a newer version load what fits, with a warning', async t => {
+  const { warnings } = withStorage(t);
+  const g = await game(t);
+  const data = g.stage.saveGame();
+  data.version = 99;
+  data.variables.score = 5;
+  data.unknownField = true;
+  assert.equal(g.stage.loadGame(data), true);
+  assert.equal(g.score.value, 5);
+  assert.ok(warnings.some(w => w.includes('newer version')));
+});
+
+test('loadGame rejects data that is not a save and empty slots', async t => {
+  const { warnings } = withStorage(t);
+  const g = await game(t);
+  assert.equal(g.stage.loadGame({ score: 3 }), false);
+  assert.equal(g.stage.loadGame('nothing-here'), false);
+  assert.equal(warnings.length, 2);
+});
+
+test('variables and lists are created once per name', async t => {
+  const stage = stageFor(t);
+  const score = stage.createVariable('score', 10);
+  score.changeBy(5);
+  assert.equal(stage.createVariable('score', 0), score, 'the existing variable is returned');
+  assert.equal(score.value, 15);
+  const items = stage.createList('items', ['map']);
+  items.add('key');
+  items.insertAt(0, 'torch');
+  items.replaceAt(5, 'nothing');
+  assert.deepEqual(items.items, ['torch', 'map', 'key']);
+  items.deleteAt(1);
+  assert.equal(items.indexOf('key'), 1);
+  items.deleteAll();
+  assert.equal(items.length, 0);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+test('a scene is set up once, on its first visit', async t => {
+  const stage = stageFor(t);
+  let setups = 0, got = null;
+  stage.createScene('level', data => {
+    setups++;
+    got = data;
+    stage.createSprite(100, 100, 'hero.png');
+    stage.createTextBox(10, 10, 'Level 1');
+  });
+  assert.equal(stage.currentScene().name, 'main');
+  stage.goToScene('level', { lives: 3 });
+  assert.equal(stage.currentScene().name, 'level');
+  assert.deepEqual(got, { lives: 3 });
+  assert.equal(stage.snapshot().sprites.length, 1);
+  assert.equal(stage.snapshot().textBoxes.length, 1);
+  stage.goToScene('main');
+  assert.equal(stage.snapshot().sprites.length, 0);
+  stage.goToScene('level');
+  assert.equal(setups, 1);
+  assert.equal(stage.snapshot().sprites.length, 1);
+});
+
+test('enter and exit hooks run on every switch', async t => {
+  const stage = stageFor(t);
+  const log = [];
+  stage.createScene('menu').onEnter(d => log.push(`enter menu ${d}`)).onExit(d => log.push(`exit menu ${d}`));
+  stage.createScene('game').onEnter(d => log.push(`enter game ${d}`));
+  stage.goToScene('menu', 1);
+  await stage.step(1);
+  stage.goToScene('game', 2);
+  await stage.step(1);
+  stage.goToScene('menu', 3);
+  await stage.step(1);
+  assert.deepEqual(log, ['enter menu 1', 'exit menu 2', 'enter game 2', 'enter menu 3']);
+});
+
+test('scripts belong to their scene and pause while it is hidden', async t => {
+  const stage = stageFor(t);
+  let levelTicks = 0, mainTicks = 0;
+  stage.forever(() => { mainTicks++; });
+  stage.createScene('level', () => { stage.forever(() => { levelTicks++; }); });
+  stage.goToScene('level');
+  await stage.step(5);
+  assert.equal(levelTicks, 5);
+  assert.equal(mainTicks, 0);
+  stage.goToScene('main');
+  await stage.step(5);
+  assert.equal(levelTicks, 5, 'the level loop waits while hidden');
+  assert.equal(mainTicks, 5);
+  stage.goToScene('level');
+  await stage.step(2);
+  assert.equal(levelTicks, 7, 'and carries on when shown again');
+});
+
+test('waits in a hidden scene hold until it is shown', async t => {
+  const stage = stageFor(t);
+  let done = false;
+  stage.createScene('level', () => {
+    stage.startScript(async () => { await stage.wait(0.05); done = true; });
+  });
+  stage.goToScene('level');
+  await stage.step(1);
+  stage.goToScene('main');
+  await stage.step(20);
+  assert.equal(done, false);
+  stage.goToScene('level');
+  await stage.step(2);
+  assert.equal(done, true);
+});
+
+test('hats and broadcasts stay within their scene', async t => {
+  const stage = stageFor(t);
+  const log = [];
+  stage.createScene('level', () => {
+    stage.whenKeyPressed('space', () => log.push('level key'));
+    stage.whenIReceive('ping', () => log.push('level ping'));
+  });
+  stage.whenKeyPressed('space', () => log.push('main key'));
+  stage.goToScene('level');
+  stage.goToScene('main');
+  stage.input.pressKey('space');
+  stage.broadcast('ping');
+  await stage.step(2);
+  assert.deepEqual(log, ['main key']);
+  stage.goToScene('level');
+  stage.input.pressKey('space');
+  stage.broadcast('ping');
+  await stage.step(2);
+  assert.deepEqual(log.slice(1).sort(), ['level key', 'level ping']);
+});
+
+test('clones join their parent\'s scene', async t => {
+  const stage = stageFor(t);
+  let hero = null;
+  stage.createScene('level', () => { hero = stage.createSprite(0, 0, 'hero.png'); });
+  stage.goToScene('level');
+  stage.goToScene('main');
+  const clone = hero.clone();
+  assert.equal(clone.scene, hero.scene);
+  assert.equal(stage.snapshot().sprites.length, 0);
+  stage.goToScene('level');
+  assert.equal(stage.snapshot().sprites.length, 2);
+});
+
+test('unknown scenes are reported and ignored', async t => {
+  const stage = stageFor(t);
+  const warn = console.warn, warnings = [];
+  console.warn = msg => warnings.push(msg);
+  t.after(() => { console.warn = warn; });
+  stage.goToScene('nowhere');
+  assert.equal(stage.currentScene().name, 'main');
+  assert.equal(warnings.length, 1);
+});
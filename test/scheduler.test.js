@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+test('wait resumes a script after the given game time', async t => {
+  const stage = stageFor(t);
+  let started = null, resumed = null;
+  stage.startScript(async () => {
+    started = stage.clock.elapsed;
+    await stage.wait(0.5);
+    resumed = stage.clock.elapsed;
+  });
+  await stage.step(25);
+  assert.notEqual(started, null);
+  assert.equal(resumed, null);
+  await stage.step(15);
+  assert.ok(resumed - started >= 0.5 && resumed - started < 0.5 + 2 / 60, `waited ${resumed - started}s`);
+});
+
+test('generator scripts run side by side, one step per frame', async t => {
+  const stage = stageFor(t);
+  const log = [];
+  stage.startScript(function* () { log.push('a1'); yield; log.push('a2'); yield stage.wait(0.1); log.push('a3'); });
+  stage.startScript(function* (n) { log.push(`b${n}`); yield; log.push(`b${n + 1}`); }, 1);
+  await stage.step(1);
+  assert.deepEqual(log, ['a1', 'b1']);
+  await stage.step(1);
+  assert.deepEqual(log, ['a1', 'b1', 'a2', 'b2']);
+  await stage.step(10);
+  assert.deepEqual(log, ['a1', 'b1', 'a2', 'b2', 'a3']);
+});
+
+test('waitUntil resumes once the condition holds', async t => {
+  const stage = stageFor(t);
+  let open = false, passed = false;
+  stage.startScript(async () => { await stage.waitUntil(() => open); passed = true; });
+  await stage.step(5);
+  assert.equal(passed, false);
+  open = true;
+  await stage.step(2);
+  assert.equal(passed, true);
+});
+
+test('repeatUntil loops once per frame until its condition holds', async t => {
+  const stage = stageFor(t);
+  let n = 0;
+  const loop = stage.repeatUntil(() => n >= 5, () => { n++; });
+  await stage.step(10);
+  assert.equal(n, 5);
+  assert.equal(loop.running, false);
+});
+
+test('glideTo reaches its target and eases on the way', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  const xs = [];
+  let arrived = false;
+  stage.startScript(async () => { await hero.glideTo(100, 50, 0.5, 'easeIn'); arrived = true; });
+  stage.forever(() => xs.push(hero.x));
+  await stage.step(40);
+  assert.equal(arrived, true);
+  assert.deepEqual([hero.x, hero.y], [100, 50]);
+  const mid = xs[16];
+  assert.ok(mid > 0 && mid < 50, `easeIn is slow at first (x ${mid} half-way)`);
+});
+
+test('broadcastAndWait waits for every receiver script to finish', async t => {
+  const stage = stageFor(t);
+  const log = [];
+  stage.whenIReceive('go', async () => { log.push('a start'); await stage.wait(0.1); log.push('a end'); });
+  stage.whenIReceive('go', () => { log.push('b'); });
+  stage.startScript(async () => {
+    await stage.broadcastAndWait('go');
+    log.push('done');
+  });
+  await stage.step(3);
+  assert.deepEqual(log, ['a start', 'b']);
+  await stage.step(10);
+  assert.deepEqual(log, ['a start', 'b', 'a end', 'done']);
+});
+
+test('broadcastAndWait with no receivers resumes on the next frame', async t => {
+  const stage = stageFor(t);
+  let done = false;
+  stage.startScript(async () => { await stage.broadcastAndWait('nobody'); done = true; });
+  await stage.step(3);
+  assert.equal(done, true);
+});
+
+test('stop(script) halts one script and leaves the others running', async t => {
+  const stage = stageFor(t);
+  let a = 0, b = 0;
+  const first = stage.forever(() => { a++; });
+  stage.forever(() => { b++; });
+  await stage.step(5);
+  stage.stop(first);
+  const [a0, b0] = [a, b];
+  await stage.step(5);
+  assert.equal(a, a0);
+  assert.ok(b > b0);
+});
+
+test('stop("scripts") ends every script, including pending waits', async t => {
+  const stage = stageFor(t);
+  let ticks = 0, resumed = false;
+  stage.forever(() => { ticks++; });
+  stage.startScript(async () => { await stage.wait(0.05); resumed = true; });
+  await stage.step(1);
+  stage.stop('scripts');
+  const before = ticks;
+  await stage.step(10);
+  assert.equal(ticks, before);
+  assert.equal(resumed, false);
+});
+
+/** An async loop that awaits `pause()` between ticks; returns its script and tick counter. */
+function awaitingLoop(stage, pause) {
+  const count = { ticks: 0 };
+  const script = stage.startScript(async () => {
+    for (;;) {
+      await pause();
+      count.ticks++;
+      await stage.wait(0.05);
+    }
+  });
+  return { script, count };
+}
+
+test('a script still owns its waits after awaiting broadcastAndWait', async t => {
+  const stage = stageFor(t);
+  stage.whenIReceive('tick', async () => { await stage.wait(0.02); });
+  const { script, count } = awaitingLoop(stage, () => stage.broadcastAndWait('tick'));
+  await stage.step(20);
+  assert.ok(count.ticks > 0);
+  stage.stop(script);
+  const before = count.ticks;
+  await stage.step(20);
+  assert.equal(script.running, false);
+  assert.equal(count.ticks, before);
+});
+
+test('a script still owns its waits after an instant turnBy', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  const { script, count } = awaitingLoop(stage, () => hero.turnBy(15));
+  await stage.step(20);
+  assert.ok(count.ticks > 0);
+  stage.stop(script);
+  const before = count.ticks;
+  await stage.step(20);
+  assert.equal(count.ticks, before);
+});
+
+test('a throwing script stops without taking the others down', async t => {
+  const stage = stageFor(t);
+  const error = console.error;
+  const errors = [];
+  console.error = (...a) => errors.push(a);
+  t.after(() => { console.error = error; });
+  let ticks = 0;
+  const bad = stage.startScript(function* () { yield; throw new Error('boom'); });
+  stage.forever(() => { ticks++; });
+  await stage.step(5);
+  assert.equal(bad.running, false);
+  assert.equal(ticks, 5);
+  assert.equal(errors.length, 1);
+});
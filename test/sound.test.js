@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor, withStorage } = require('./helpers');
+
+test('createSound returns a shared Sound, loaded once per path', async t => {
+  const stage = stageFor(t);
+  const a = stage.createSound('sfx/jump.wav'), b = stage.createSound('sfx/jump.wav');
+  assert.equal(a, b);
+  assert.equal(a.name, 'jump');
+  await stage.step(1);
+  assert.equal(a.isLoaded(), true);
+  assert.equal(a.file, null, 'no p5.SoundFile without p5.sound');
+  assert.equal(stage.getAsset('sfx/jump.wav'), a);
+});
+
+test('sprite sounds are found by name, and their waits end', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  hero.addSound('sfx/jump.wav');
+  hero.addSound('sfx/win.ogg', 'fanfare');
+  assert.deepEqual(Object.keys(hero.sounds), ['jump', 'fanfare']);
+  await stage.step(1);
+  const v = hero.playSound('jump');
+  assert.equal(v.owner, hero);
+  assert.equal(v.group, 'sfx');
+  let done = false;
+  stage.startScript(async () => { await hero.playSoundUntilDone('fanfare'); done = true; });
+  await stage.step(3);
+  assert.equal(done, true, 'headless sounds end at once');
+});
+
+test('group volumes are clamped to 0–1', async t => {
+  const stage = stageFor(t);
+  stage.audio.setVolume('music', 1.5);
+  stage.audio.setVolume('sfx', -1);
+  stage.audio.setVolume('master', 0.4);
+  assert.deepEqual(stage.audio.volumes, { master: 0.4, music: 1, sfx: 0 });
+});
+
+test('the mute toggle is remembered for the next visit', async t => {
+  const { storage } = withStorage(t);
+  const stage = stageFor(t);
+  assert.equal(stage.audio.muted, false);
+  assert.equal(stage.audio.toggleMute(), true);
+  assert.equal(storage.getItem('p5sprite.muted'), '1');
+  assert.equal(stageFor(t).audio.muted, true);
+  stage.audio.mute(false);
+  assert.equal(stageFor(t).audio.muted, false);
+});
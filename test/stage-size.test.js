@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+test('createStage sets the logical size the camera centres on', async t => {
+  const stage = stageFor(t, { width: 320, height: 180 });
+  assert.deepEqual([stage.camera.x, stage.camera.y], [160, 90]);
+  assert.deepEqual(stage.screenToWorld(320, 180), { x: 320, y: 180 });
+});
+
+test('setStageSize moves the edges and resets the camera', async t => {
+  const stage = stageFor(t);
+  const ball = stage.createSprite(700, 100, 'ball.png');
+  ball.direction = 0;
+  await stage.step(1);
+  assert.equal(ball.touchingEdge(), 'right');
+  stage.camera.zoom = 2;
+  stage.setStageSize(800, 600);
+  assert.equal(ball.touchingEdge(), null);
+  assert.deepEqual([stage.camera.x, stage.camera.y, stage.camera.zoom], [400, 300, 1]);
+});
+
+test('setScaleMode leaves stage coordinates alone', async t => {
+  const stage = stageFor(t);
+  const hero = stage.createSprite(600, 400, 'hero.png');
+  let clicks = 0;
+  hero.whenClicked(() => { clicks++; });
+  await stage.step(1);
+  for (const mode of ['fixed', 'fit', 'fill', 'pixel']) {
+    stage.setScaleMode(mode);
+    stage.input.click(600, 400);
+    await stage.step(1);
+  }
+  assert.equal(clicks, 4);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStage, stageFor, withStorage } = require('./helpers');
+
+test('a headless stage runs without p5 or a window', async t => {
+  assert.equal(typeof window, 'undefined');
+  const stage = stageFor(t);
+  const hero = stage.createSprite(100, 100, 'hero.png');
+  stage.forever(() => { hero.x += 1; });
+  await stage.step(10);
+  const snap = stage.snapshot();
+  assert.equal(snap.frame, 10);
+  assert.equal(snap.sprites.length, 1);
+  assert.equal(snap.sprites[0].x, 110);
+});
+
+test('imageSize sets the size of headless images', async t => {
+  const stage = stageFor(t, { imageSize: () => [64, 16] });
+  const hero = stage.createSprite(0, 0, 'hero.png');
+  await stage.step(1);
+  assert.deepEqual([hero.images[0].width, hero.images[0].height], [64, 16]);
+});
+
+test('stages keep their own sprites, scripts and clocks', async t => {
+  const a = stageFor(t), b = stageFor(t);
+  a.createSprite(0, 0, 'a.png');
+  let bTicks = 0;
+  b.forever(() => { bTicks++; });
+  await a.step(10);
+  await b.step(3);
+  assert.equal(a.clock.frame, 10);
+  assert.equal(b.clock.frame, 3);
+  assert.equal(bTicks, 3);
+  assert.equal(a.snapshot().sprites.length, 1);
+  assert.equal(b.snapshot().sprites.length, 0);
+});
+
+test('input sent to one stage stays out of the others', async t => {
+  const a = stageFor(t), b = stageFor(t);
+  let aJumps = 0, bJumps = 0;
+  a.whenKeyPressed('space', () => { aJumps++; });
+  b.whenKeyPressed('space', () => { bJumps++; });
+  b.input.pressKey('space');
+  await a.step(2);
+  await b.step(2);
+  assert.equal(aJumps, 0);
+  assert.equal(bJumps, 1);
+});
+
+test('destroy stops the stage\'s scripts', async t => {
+  const stage = createStage({ headless: true });
+  let ticks = 0;
+  const loop = stage.forever(() => { ticks++; });
+  await stage.step(2);
+  stage.destroy();
+  assert.equal(loop.running, false);
+  assert.equal(ticks, 2);
+});
+
+test('stages with an id keep their save slots and mute toggles apart', async t => {
+  const { storage } = withStorage(t);
+  const left = stageFor(t, { id: 'left' }), right = stageFor(t, { id: 'right' });
+  const lScore = left.createVariable('score', 1), rScore = right.createVariable('score', 2);
+  left.saveGame('slot');
+  right.saveGame('slot');
+  lScore.value = rScore.value = 0;
+  left.loadGame('slot');
+  right.loadGame('slot');
+  assert.equal(lScore.value, 1);
+  assert.equal(rScore.value, 2);
+  left.audio.mute(true);
+  assert.equal(right.audio.muted, false);
+  assert.equal(stageFor(t, { id: 'left' }).audio.muted, true, 'a new stage with the same id remembers');
+  assert.equal(stageFor(t, { id: 'right' }).audio.muted, false);
+  assert.deepEqual(storage.keys().sort(),
+    ['p5sprite.muted.left', 'p5sprite.save.left.slot', 'p5sprite.save.right.slot']);
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor, serveJSON } = require('./helpers');
+
+const FLIP_H = 0x80000000;
+
+/** An 8 × 4 map of 32 px tiles: a solid floor, one decoration and two coins. */
+function level() {
+  const row = fill => Array(8).fill(fill);
+  return {
+    width: 8, height: 4, tilewidth: 32, tileheight: 32, orientation: 'orthogonal',
+    properties: [{ name: 'music', type: 'string', value: 'cave.mp3' }],
+    tilesets: [
+      { firstgid: 1, name: 'terrain', tilewidth: 32, tileheight: 32, columns: 4, image: 'terrain.png',
+        tiles: [{ id: 0, type: 'ground', properties: [{ name: 'solid', type: 'bool', value: true }] }] },
+      { firstgid: 9, source: 'items.tsj' }
+    ],
+    layers: [
+      { type: 'tilelayer', name: 'Ground', width: 8, height: 4,
+        data: [...row(0), ...row(0), ...row(0), 1, 1, 1, 1, 1 | FLIP_H, 1, 1, 0] },
+      { type: 'tilelayer', name: 'Deco', width: 8, height: 4,
+        data: [...row(0), 0, 0, 2, 0, 0, 0, 0, 0, ...row(0), ...row(0)] },
+      { type: 'objectgroup', name: 'Things', objects: [
+        { id: 1, type: 'coin', x: 64, y: 32, width: 32, height: 32, properties: [{ name: 'value', type: 'int', value: 5 }] },
+        { id: 2, type: 'coin', x: 160, y: 32, width: 32, height: 32 },
+        { id: 3, gid: 9, x: 96, y: 96, width: 32, height: 32 }
+      ] }
+    ]
+  };
+}
+
+const items = {
+  name: 'items', tilewidth: 32, tileheight: 32, columns: 2, image: 'items.png',
+  tiles: [{ id: 0, type: 'crate' }]
+};
+
+async function loadLevel(t, stage) {
+  serveJSON(t, { 'maps/level.tmj': level(), 'maps/items.tsj': items });
+  return stage.loadTilemap('maps/level.tmj');
+}
+
+test('loadTilemap reads the size, layers, properties and objects', async t => {
+  const stage = stageFor(t);
+  const map = await loadLevel(t, stage);
+  assert.deepEqual([map.cols, map.rows, map.width, map.height], [8, 4, 256, 128]);
+  assert.deepEqual(map.layers.map(L => L.name), ['Ground', 'Deco']);
+  assert.deepEqual(map.properties, { music: 'cave.mp3' });
+  assert.equal(map.objectsOfType('coin').length, 2);
+  assert.equal(map.objectsOfType('crate').length, 1, 'tile objects take their tile\'s type');
+  assert.deepEqual(stage.currentScene().tilemaps, [map]);
+});
+
+test('tileAt finds the topmost tile, or the tile of one layer', async t => {
+  const stage = stageFor(t);
+  const map = await loadLevel(t, stage);
+  const deco = map.tileAt(80, 40);
+  assert.equal(deco.layer, 'Deco');
+  assert.deepEqual([deco.gid, deco.id, deco.col, deco.row, deco.x, deco.y], [2, 1, 2, 1, 64, 32]);
+  const floor = map.tileAt(10, 100);
+  assert.equal(floor.type, 'ground');
+  assert.equal(floor.tileset, 'terrain');
+  assert.equal(map.tileAt(150, 100).gid, 1, 'flip bits are removed');
+  assert.equal(map.tileAt(80, 40, 'Ground'), null);
+  assert.equal(map.tileAt(250, 100), null, 'empty cell');
+  assert.equal(map.tileAt(-5, 100), null, 'outside the map');
+});
+
+test('isSolidAt follows the solid property, then setSolid', async t => {
+  const stage = stageFor(t);
+  const map = await loadLevel(t, stage);
+  assert.equal(map.isSolidAt(10, 100), true);
+  assert.equal(map.isSolidAt(150, 100), true, 'flipped tiles stay solid');
+  assert.equal(map.isSolidAt(250, 100), false);
+  assert.equal(map.isSolidAt(80, 40), false, 'decorations are not solid');
+  map.setSolid('Deco');
+  assert.equal(map.isSolidAt(80, 40), true);
+  assert.equal(map.isSolidAt(10, 100), false);
+  map.setSolid([2]);
+  assert.equal(map.isSolidAt(80, 40), true);
+  map.setSolid(tile => tile.type === 'ground');
+  assert.equal(map.isSolidAt(80, 40), false);
+  assert.equal(map.isSolidAt(10, 100), true);
+});
+
+test('setTileAt edits the map and moving the map moves its tiles', async t => {
+  const stage = stageFor(t);
+  const map = await loadLevel(t, stage);
+  map.setTileAt(240, 100, 1, 'Ground');
+  assert.equal(map.isSolidAt(240, 100), true);
+  map.setTileAt(10, 100, 0, 'Ground');
+  assert.equal(map.tileAt(10, 100), null);
+  map.x = 1000;
+  assert.equal(map.isSolidAt(240, 100), false);
+  assert.equal(map.isSolidAt(1240, 100), true);
+});
+
+test('spawn makes a sprite per object, centred, in the map\'s scene', async t => {
+  const stage = stageFor(t);
+  let map = null;
+  stage.createScene('level', () => { loadLevel(t, stage).then(m => { map = m; }); });
+  stage.goToScene('level');
+  await stage.step(1);
+  stage.goToScene('main');
+  const coins = map.spawn('coin', 'coin.png');
+  const crates = map.spawn('crate');
+  assert.deepEqual(coins.map(s => [s.x, s.y]), [[80, 48], [176, 48]]);
+  assert.deepEqual(coins[0].properties, { value: 5 });
+  assert.deepEqual([crates[0].x, crates[0].y], [112, 80], 'tile objects hang from their bottom-left');
+  assert.equal(crates[0].costumeName, 'items-0');
+  assert.equal(stage.snapshot().sprites.length, 0);
+  stage.goToScene('level');
+  assert.equal(stage.snapshot().sprites.length, 3);
+});
+
+test('bodies land on solid tiles and collide() reports the tile', async t => {
+  const stage = stageFor(t);
+  const map = await loadLevel(t, stage);
+  stage.setGravity(0, 1500);
+  const hero = stage.createSprite(40, 20, 'hero.png');
+  hero.direction = 0;
+  hero.setBody('dynamic');
+  await stage.step(90);
+  assert.equal(hero.y, 96 - 16);
+  assert.equal(hero.isOnGround(), true);
+  hero.y += 4;
+  const hit = hero.collide(map);
+  assert.ok(hit && hit.tile.type === 'ground');
+  assert.ok(hit.y < 0, 'pushes up, out of the floor');
+});
+
+test('a missing map rejects', async t => {
+  serveJSON(t, {});
+  const stage = stageFor(t);
+  const error = console.error;
+  console.error = () => {};
+  t.after(() => { console.error = error; });
+  await assert.rejects(stage.loadTilemap('maps/nope.tmj'), /could not load tilemap/);
+});
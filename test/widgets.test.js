@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stageFor } = require('./helpers');
+
+test('a button fires on press and release over it, and swallows the click', async t => {
+  const stage = stageFor(t);
+  const log = [];
+  const play = stage.createButton(320, 240, 'Play').onClick(function (b) { log.push(this === b ? b.label : '?'); });
+  stage.whenStageClicked(() => log.push('stage'));
+  stage.input.click(330, 250);
+  await stage.step(2);
+  assert.deepEqual(log, ['Play']);
+  stage.input.mouseDown(330, 250);
+  await stage.step(1);
+  assert.equal(play.pressed, true);
+  stage.input.mouseUp(500, 400);
+  await stage.step(2);
+  assert.deepEqual(log, ['Play'], 'letting go elsewhere cancels');
+  assert.equal(play.pressed, false);
+});
+
+test('disabled and hidden widgets let the pointer through', async t => {
+  const stage = stageFor(t);
+  let clicks = 0, stageClicks = 0;
+  const button = stage.createButton(320, 240, 'Go').onClick(() => { clicks++; });
+  stage.whenStageClicked(() => { stageClicks++; });
+  button.enabled = false;
+  stage.input.click(320, 240);
+  await stage.step(2);
+  button.enabled = true;
+  button.hidden = true;
+  stage.input.click(320, 240);
+  await stage.step(2);
+  assert.equal(clicks, 0);
+  assert.equal(stageClicks, 2);
+});
+
+test('sliders follow the pointer, snap to their step and report changes', async t => {
+  const stage = stageFor(t);
+  const changes = [];
+  const volume = stage.createSlider(320, 100, 200, 0, 10, 5, 1).onChange(v => changes.push(v));
+  stage.input.mouseDown(220, 100);
+  await stage.step(1);
+  assert.equal(volume.value, 0);
+  stage.input.mouseMove(279, 100);
+  await stage.step(1);
+  assert.equal(volume.value, 3);
+  stage.input.mouseUp(600, 100);
+  await stage.step(1);
+  assert.equal(volume.value, 3, 'letting go off the track keeps the value');
+  assert.deepEqual(changes, [0, 3]);
+});
+
+test('checkboxes toggle on click and fit their label unless given a width', async t => {
+  const stage = stageFor(t);
+  const states = [];
+  const box = stage.createCheckbox(100, 100, 'Sound', true).onChange(v => states.push(v));
+  const fitted = box.w;
+  assert.ok(fitted > box.h, 'box plus label');
+  box.label = 'Sound effects';
+  assert.ok(box.w > fitted, 'measured again for a longer label');
+  stage.input.click(100, 100);
+  await stage.step(2);
+  assert.equal(box.checked, false);
+  assert.deepEqual(states, [false]);
+  box.w = 300;
+  assert.equal(box.w, 300);
+  box.resize(240, 30);
+  assert.deepEqual([box.w, box.h], [240, 30]);
+  box.w = null;
+  assert.ok(box.w < 240, 'null fits the label again');
+});
+
+test('progress bars default to full', async t => {
+  const stage = stageFor(t);
+  const hp = stage.createProgressBar(120, 30, 200, 16, 50);
+  assert.equal(hp.value, 50);
+  hp.value -= 20;
+  assert.equal(hp.value, 30);
+});
+
+test('panels move, hide and remove their children', async t => {
+  const stage = stageFor(t);
+  let clicks = 0;
+  const panel = stage.createPanel(320, 240, 300, 200, 'Options');
+  const ok = stage.createButton(320, 300, 'OK').onClick(() => { clicks++; });
+  panel.add(ok);
+  assert.ok(ok.layer > panel.layer);
+  panel.moveTo(420, 240);
+  assert.deepEqual([ok.x, ok.y], [420, 300]);
+  panel.hidden = true;
+  stage.input.click(420, 300);
+  await stage.step(2);
+  assert.equal(clicks, 0);
+  panel.hidden = false;
+  stage.input.click(420, 300);
+  await stage.step(2);
+  assert.equal(clicks, 1);
+  panel.remove();
+  assert.deepEqual(stage.currentScene().widgets, []);
+});